@@ -0,0 +1,46 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { encryptApiKey, decryptApiKey, describeKeyAccess, KEY_ACCESS_LEVELS } from '../src/background/api-key.js';
+
+describe('api key', () => {
+  describe('encryptApiKey', () => {
+    // Few iterations keep the test fast; the stored record says how many were used
+    it('should round-trip the key with the right passphrase', async () => {
+      const record = await encryptApiKey('abcdef123456', 'correct horse', 1000);
+
+      expect(record.iterations).toBe(1000);
+      expect(JSON.stringify(record)).not.toContain('abcdef123456');
+      await expect(decryptApiKey(record, 'correct horse')).resolves.toBe('abcdef123456');
+    });
+
+    it('should use a fresh salt and IV for every encryption', async () => {
+      const first = await encryptApiKey('abcdef123456', 'correct horse', 1000);
+      const second = await encryptApiKey('abcdef123456', 'correct horse', 1000);
+
+      expect(second.salt).not.toBe(first.salt);
+      expect(second.iv).not.toBe(first.iv);
+      expect(second.ciphertext).not.toBe(first.ciphertext);
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      const record = await encryptApiKey('abcdef123456', 'correct horse', 1000);
+
+      await expect(decryptApiKey(record, 'battery staple')).rejects.toThrow('Wrong passphrase');
+    });
+  });
+
+  describe('describeKeyAccess', () => {
+    it('should accept public and custom keys without a warning', () => {
+      expect(describeKeyAccess({ access_level: KEY_ACCESS_LEVELS.PUBLIC, access_type: 'Public Only' }))
+        .toEqual({ accessLevel: 1, accessType: 'Public Only', warning: null });
+      expect(describeKeyAccess({ access_level: KEY_ACCESS_LEVELS.CUSTOM, access_type: 'Custom' }).warning).toBeNull();
+    });
+
+    it('should warn about keys with more access than needed', () => {
+      const access = describeKeyAccess({ access_level: KEY_ACCESS_LEVELS.FULL, access_type: 'Full Access' });
+
+      expect(access.warning).toContain('Full Access');
+    });
+  });
+});
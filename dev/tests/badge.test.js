@@ -0,0 +1,57 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { computeBadge, formatBadgeAmount } from '../src/background/badge.js';
+import { BADGE_MODES } from '../src/background/settings.js';
+
+describe('badge', () => {
+  const now = 100000;
+  const stockData = {
+    mex: [
+      { name: 'Jaguar Plushie', country: 'mex', trip_profit_per_minute: 1500, restock: { lastRestock: now - 60 } },
+      { name: 'Dahlia', country: 'mex', trip_profit_per_minute: 200, restock: { lastRestock: now - 3600 } }
+    ],
+    uae: [
+      { name: 'Camel Plushie', country: 'uae', trip_profit_per_minute: 4200, restock: { lastRestock: now - 300 } }
+    ]
+  };
+
+  describe('formatBadgeAmount', () => {
+    it('should fit amounts into four characters', () => {
+      expect(formatBadgeAmount(950)).toBe('950');
+      expect(formatBadgeAmount(1234)).toBe('1.2k');
+      expect(formatBadgeAmount(4000)).toBe('4k');
+      expect(formatBadgeAmount(56789)).toBe('57k');
+      expect(formatBadgeAmount(3400000)).toBe('3.4m');
+      expect(formatBadgeAmount(-5)).toBe('0');
+    });
+  });
+
+  describe('computeBadge', () => {
+    it('should show the best profit in the selected countries', () => {
+      expect(computeBadge(stockData, { mode: BADGE_MODES.BEST_PROFIT }, now).text).toBe('4.2k');
+
+      const badge = computeBadge(stockData, { mode: BADGE_MODES.BEST_PROFIT, countryFilter: ['mex'] }, now);
+      expect(badge.text).toBe('1.5k');
+      expect(badge.title).toContain('Jaguar Plushie (MEX)');
+    });
+
+    it('should count recent restocks', () => {
+      expect(computeBadge(stockData, { mode: BADGE_MODES.RESTOCKED }, now).text).toBe('2');
+      expect(computeBadge(stockData, { mode: BADGE_MODES.RESTOCKED, countryFilter: ['uae'] }, now).text).toBe('1');
+      expect(computeBadge(stockData, { mode: BADGE_MODES.RESTOCKED }, now + 3600).text).toBe('');
+    });
+
+    it('should be empty when turned off or without data', () => {
+      expect(computeBadge(stockData, { mode: BADGE_MODES.OFF }, now).text).toBe('');
+      expect(computeBadge(null, { mode: BADGE_MODES.BEST_PROFIT }, now).text).toBe('');
+    });
+
+    it('should show an error marker while a fetch is failing', () => {
+      const badge = computeBadge(stockData, { mode: BADGE_MODES.OFF, errors: { yata: 'HTTP 502', torn: null } }, now);
+
+      expect(badge.text).toBe('!');
+      expect(badge.title).toBe('YATA fetch failing: HTTP 502');
+    });
+  });
+});
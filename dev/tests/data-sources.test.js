@@ -0,0 +1,104 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { createHttpProvider, createFixtureProvider, configureDataSources, stockSource } from '../src/background/data-sources.js';
+
+describe('data sources', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  describe('createHttpProvider', () => {
+    it('should request the usual paths from the base URL', async () => {
+      global.fetch.mockResolvedValue(new Response('{}'));
+      const provider = createHttpProvider('mirror', 'http://localhost:8080/');
+
+      await provider.fetchStockExport();
+      await provider.fetchItemMarket(258, 'key');
+
+      expect(global.fetch.mock.calls.map(call => call[0])).toEqual([
+        'http://localhost:8080/api/v1/travel/export/',
+        'http://localhost:8080/v2/market/258/itemmarket?offset=0'
+      ]);
+    });
+
+    it('should send the API key in a header instead of the URL', async () => {
+      global.fetch.mockResolvedValue(new Response('{}'));
+      const provider = createHttpProvider('torn', 'https://api.torn.com');
+
+      await provider.fetchUser('abc123');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.torn.com/user/?selections=basic');
+      expect(init.headers).toEqual({ Authorization: 'ApiKey abc123' });
+    });
+
+    it('should never send the API key to a mirror', async () => {
+      global.fetch.mockResolvedValue(new Response('{}'));
+      const provider = createHttpProvider('mirror', 'https://api.torn.com.example.net');
+
+      await provider.fetchItemMarket(258, 'abc123');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).not.toContain('abc123');
+      expect(init).toBeUndefined();
+    });
+  });
+
+  describe('createFixtureProvider', () => {
+    const fixtures = {
+      '/fixtures/index.json': { stockExports: ['first.json', 'second.json'] },
+      '/fixtures/first.json': { timestamp: 1000, stocks: { mex: { update: 900, stocks: [] } } },
+      '/fixtures/second.json': { timestamp: 1300, stocks: { mex: { update: 1250, stocks: [] } } },
+      '/fixtures/torn/itemmarket/258.json': { itemmarket: { item: { type: 'Plushie' }, listings: [] } }
+    };
+
+    beforeEach(() => {
+      global.fetch.mockImplementation(async url => {
+        const path = new URL(url).pathname;
+        return fixtures[path]
+          ? new Response(JSON.stringify(fixtures[path]))
+          : new Response('Not found', { status: 404 });
+      });
+    });
+
+    it('should replay the recorded exports in turn, shifted to the current time', async () => {
+      const provider = createFixtureProvider('http://ext/fixtures', () => 5000);
+
+      const first = await (await provider.fetchStockExport()).json();
+      const second = await (await provider.fetchStockExport()).json();
+      const third = await (await provider.fetchStockExport()).json();
+
+      expect(first.timestamp).toBe(5000);
+      expect(first.stocks.mex.update).toBe(4900);
+      expect(second.stocks.mex.update).toBe(4950);
+      expect(third.stocks.mex.update).toBe(4900);
+    });
+
+    it('should carry on with the replay when unrelated settings are saved', async () => {
+      global.browser = { runtime: { getURL: () => 'http://ext/fixtures' } };
+      const sources = { stock: 'fixture', price: 'fixture', stockMirrorUrl: '', priceMirrorUrl: '' };
+
+      configureDataSources(sources);
+      const first = await (await stockSource().fetchStockExport()).json();
+      // Saving any setting passes the (unchanged) sources in again
+      configureDataSources({ ...sources });
+      const second = await (await stockSource().fetchStockExport()).json();
+
+      expect(second.stocks.mex.update - second.timestamp).toBe(1250 - 1300);
+      expect(first.stocks.mex.update - first.timestamp).toBe(900 - 1000);
+    });
+
+    it('should answer like Torn for items without a fixture', async () => {
+      const provider = createFixtureProvider('http://ext/fixtures');
+
+      const known = await (await provider.fetchItemMarket(258)).json();
+      const unknown = await (await provider.fetchItemMarket(1)).json();
+      const bazaar = await (await provider.fetchBazaar(1)).json();
+
+      expect(known.itemmarket.item.type).toBe('Plushie');
+      expect(unknown.error.code).toBe(6);
+      expect(bazaar).toEqual({ bazaar: [] });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { toEvent, appendEvent } from '../src/background/diagnostics.js';
+import { setLogSecrets } from '../src/background/logger.js';
+
+describe('diagnostics', () => {
+  describe('toEvent', () => {
+    it('should keep the YATA error code apart from Torn codes', () => {
+      const yataError = Object.assign(new Error('Too many requests'), { name: 'YataApiError', code: 3, status: 429 });
+      const tornError = Object.assign(new Error('Torn API error: Incorrect key'), { name: 'TornApiError', code: 2 });
+
+      expect(toEvent('yata', yataError, 'fetchAndLogStock', 1000)).toEqual({
+        timestamp: 1000,
+        source: 'yata',
+        context: 'fetchAndLogStock',
+        name: 'YataApiError',
+        message: 'Too many requests',
+        code: null,
+        yataCode: 3,
+        status: 429
+      });
+      expect(toEvent('torn', tornError, null, 1000)).toMatchObject({ code: 2, yataCode: null, status: null });
+    });
+
+    it('should redact API keys and accept non-Error values', () => {
+      const event = toEvent('torn', new Error('Failed: https://api.torn.com/user/?selections=basic&key=abc123'), null, 1000);
+
+      expect(event.message).toBe('Failed: https://api.torn.com/user/?selections=basic&key=<redacted>');
+      expect(toEvent('database', 'Failed to open IndexedDB', null, 1000).message).toBe('Failed to open IndexedDB');
+    });
+
+    it('should hide the current API key wherever it appears', () => {
+      setLogSecrets(['abcdef123456']);
+      const event = toEvent('torn', new Error('Rejected key abcdef123456'), null, 1000);
+      setLogSecrets([]);
+
+      expect(event.message).toBe('Rejected key <redacted>');
+    });
+  });
+
+  describe('appendEvent', () => {
+    it('should drop the oldest events once full', () => {
+      const events = [1, 2, 3].map(n => ({ timestamp: n }));
+
+      expect(appendEvent(events, { timestamp: 4 }, 3).map(e => e.timestamp)).toEqual([2, 3, 4]);
+    });
+  });
+});
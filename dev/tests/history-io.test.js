@@ -0,0 +1,56 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { toCSV, parseCSV, toJSON, parseJSON, validateRecord } from '../src/background/history-io.js';
+
+describe('history import/export', () => {
+  const records = [
+    { timestamp: 1700000000, country: 'mex', item_id: 1, quantity: 500, created_at: 1700000000123 },
+    {
+      timestamp: 1700000300,
+      country: 'MARKET',
+      item_id: 1,
+      quantity: 2500,
+      type: 'market_price',
+      listing_count: 12,
+      average_price: 2450,
+      source: 'itemmarket',
+      created_at: 1700000300123
+    },
+    { timestamp: 1699990000, country: 'can', item_id: 2, quantity: 40, min: 10, max: 60, samples: 10, resolution: 300, created_at: 1 }
+  ];
+
+  it('should round-trip records through CSV', () => {
+    const parsed = parseCSV(toCSV(records)).map(validateRecord);
+
+    expect(parsed).toEqual(records);
+  });
+
+  it('should round-trip records through JSON', () => {
+    expect(parseJSON(toJSON(records))).toEqual(records);
+  });
+
+  it('should accept a bare JSON array', () => {
+    expect(parseJSON(JSON.stringify(records))).toEqual(records);
+  });
+
+  it('should handle quoted CSV fields and CRLF line endings', () => {
+    const csv = 'timestamp,country,item_id,quantity,type\r\n1700000000,mex,1,5,"a ""quoted"", type"\r\n';
+
+    expect(parseCSV(csv)).toEqual([
+      { timestamp: 1700000000, country: 'mex', item_id: 1, quantity: 5, type: 'a "quoted", type' }
+    ]);
+  });
+
+  it('should reject CSV without the key columns', () => {
+    expect(() => parseCSV('foo,bar\n1,2\n')).toThrow();
+  });
+
+  it('should reject invalid records', () => {
+    expect(validateRecord({ timestamp: 'x', country: 'mex', item_id: 1, quantity: 1 })).toBeNull();
+    expect(validateRecord({ timestamp: 1, country: 'Mexico', item_id: 1, quantity: 1 })).toBeNull();
+    expect(validateRecord({ timestamp: 1, country: 'mex', item_id: 0, quantity: 1 })).toBeNull();
+    expect(validateRecord({ timestamp: 1, country: 'mex', item_id: 1, quantity: -5 })).toBeNull();
+    expect(validateRecord({ timestamp: 1, country: 'mex', item_id: 1, quantity: 5, resolution: 60 })).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { MESSAGE_TYPES, dispatchMessage } from '../src/background/messages.js';
+import { createMessageHandlers } from '../src/background/browser-init.js';
+
+describe('dispatchMessage', () => {
+  const extensionUrl = 'moz-extension://abc/';
+  const popup = { id: 'ext', url: 'moz-extension://abc/src/popup/popup.html' };
+  const contentScript = { id: 'ext', url: 'https://www.torn.com/index.php', tab: { id: 4 } };
+  const handlers = {
+    [MESSAGE_TYPES.GET_STATUS]: async () => ({ hasApiKey: true }),
+    [MESSAGE_TYPES.REFRESH]: async msg => {
+      const error = new Error(`No API key saved for ${msg.countries.join(', ')}`);
+      error.code = 2;
+      throw error;
+    },
+    [MESSAGE_TYPES.CLEAR_DIAGNOSTICS]: async () => undefined,
+    [MESSAGE_TYPES.GET_PREDICTIONS]: async () => ({})
+  };
+
+  it('should wrap handler results in an ok reply', async () => {
+    await expect(dispatchMessage(handlers, { type: MESSAGE_TYPES.GET_STATUS }, popup, extensionUrl))
+      .resolves.toEqual({ ok: true, data: { hasApiKey: true } });
+  });
+
+  it('should pass handler errors back with their name and code', async () => {
+    const reply = await dispatchMessage(handlers, { type: MESSAGE_TYPES.REFRESH, countries: ['mex'] }, popup, extensionUrl);
+    expect(reply).toEqual({
+      ok: false,
+      error: { name: 'Error', message: 'No API key saved for mex', code: 2 }
+    });
+  });
+
+  it('should reply with null when a handler returns nothing', async () => {
+    await expect(dispatchMessage(handlers, { type: MESSAGE_TYPES.CLEAR_DIAGNOSTICS }, popup, extensionUrl))
+      .resolves.toEqual({ ok: true, data: null });
+  });
+
+  it('should leave unknown messages unanswered', () => {
+    expect(dispatchMessage(handlers, { type: 'something-else' }, popup, extensionUrl)).toBeUndefined();
+    expect(dispatchMessage(handlers, undefined, popup, extensionUrl)).toBeUndefined();
+  });
+
+  it('should only accept key and history changes from extension pages', async () => {
+    const saveKey = jest.fn(async () => ({}));
+    const guarded = { ...handlers, [MESSAGE_TYPES.SAVE_KEY]: saveKey, [MESSAGE_TYPES.IMPORT_HISTORY]: saveKey };
+
+    for (const type of [MESSAGE_TYPES.SAVE_KEY, MESSAGE_TYPES.IMPORT_HISTORY]) {
+      const reply = await dispatchMessage(guarded, { type }, contentScript, extensionUrl);
+      expect(reply).toMatchObject({ ok: false, error: { name: 'PermissionError' } });
+    }
+    // A page claiming an extension URL from inside a tab is still a content script
+    await expect(dispatchMessage(guarded, { type: MESSAGE_TYPES.SAVE_KEY }, { ...contentScript, url: popup.url }, extensionUrl))
+      .resolves.toMatchObject({ ok: false });
+    expect(saveKey).not.toHaveBeenCalled();
+
+    await expect(dispatchMessage(guarded, { type: MESSAGE_TYPES.SAVE_KEY }, popup, extensionUrl))
+      .resolves.toEqual({ ok: true, data: {} });
+  });
+
+  it('should answer content scripts for predictions', async () => {
+    await expect(dispatchMessage(handlers, { type: MESSAGE_TYPES.GET_PREDICTIONS }, contentScript, extensionUrl))
+      .resolves.toEqual({ ok: true, data: {} });
+  });
+});
+
+describe('createMessageHandlers', () => {
+  const popup = { id: 'ext', url: 'moz-extension://abc/src/popup/popup.html' };
+
+  it('should report a failed collector restart', async () => {
+    const handlers = createMessageHandlers(async () => {
+      throw new Error('Torn API unreachable');
+    });
+
+    await expect(dispatchMessage(handlers, { type: MESSAGE_TYPES.RESTART_COLLECTOR }, popup, 'moz-extension://abc/'))
+      .resolves.toEqual({ ok: false, error: { name: 'Error', message: 'Torn API unreachable', code: null } });
+  });
+
+  it('should reply ok once the collector restarts', async () => {
+    const handlers = createMessageHandlers(async () => {});
+
+    await expect(dispatchMessage(handlers, { type: MESSAGE_TYPES.RESTART_COLLECTOR }, popup, 'moz-extension://abc/'))
+      .resolves.toEqual({ ok: true, data: null });
+  });
+});
@@ -0,0 +1,57 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { evaluateSubscription, NOTIFICATION_TRIGGERS } from '../src/background/notifications.js';
+
+describe('evaluateSubscription', () => {
+  const now = 100000;
+  const item = {
+    id: 1,
+    name: 'Plushie',
+    country: 'mex',
+    quantity: 400,
+    trip_profit_per_minute: 250,
+    restock: { lastRestock: now - 120, nextRestock: now + 600, overdue: false }
+  };
+
+  it('should key restock events by the restock time', () => {
+    const sub = { trigger: NOTIFICATION_TRIGGERS.RESTOCKED };
+
+    expect(evaluateSubscription(sub, item, now)).toBe(`restocked:${now - 120}`);
+    expect(evaluateSubscription(sub, item, now + 3600)).toBeNull();
+  });
+
+  it('should fire quantity alerts only above the threshold', () => {
+    expect(evaluateSubscription({ trigger: NOTIFICATION_TRIGGERS.QUANTITY_ABOVE, threshold: 300 }, item, now))
+      .toBe('quantity-above');
+    expect(evaluateSubscription({ trigger: NOTIFICATION_TRIGGERS.QUANTITY_ABOVE, threshold: 500 }, item, now))
+      .toBeNull();
+  });
+
+  it('should fire once per restock cycle when a restock is near', () => {
+    const sub = { trigger: NOTIFICATION_TRIGGERS.RESTOCK_SOON, threshold: 15 };
+    const shifted = { ...item, restock: { ...item.restock, nextRestock: now + 540 } };
+
+    expect(evaluateSubscription(sub, item, now)).toBe(evaluateSubscription(sub, shifted, now));
+    expect(evaluateSubscription({ ...sub, threshold: 5 }, item, now)).toBeNull();
+  });
+
+  it('should ignore overdue restock forecasts', () => {
+    const sub = { trigger: NOTIFICATION_TRIGGERS.RESTOCK_SOON, threshold: 15 };
+    const overdue = { ...item, restock: { ...item.restock, overdue: true } };
+
+    expect(evaluateSubscription(sub, overdue, now)).toBeNull();
+  });
+
+  it('should compare trip profit per minute', () => {
+    expect(evaluateSubscription({ trigger: NOTIFICATION_TRIGGERS.PROFIT_ABOVE, threshold: 200 }, item, now))
+      .toBe('profit-above');
+    expect(evaluateSubscription({ trigger: NOTIFICATION_TRIGGERS.PROFIT_ABOVE, threshold: 300 }, item, now))
+      .toBeNull();
+  });
+
+  it('should return null for unknown triggers or missing items', () => {
+    expect(evaluateSubscription({ trigger: 'nope' }, item, now)).toBeNull();
+    expect(evaluateSubscription({ trigger: NOTIFICATION_TRIGGERS.RESTOCKED }, undefined, now)).toBeNull();
+  });
+});
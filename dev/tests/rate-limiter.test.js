@@ -0,0 +1,68 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { createTokenBucket, CALL_PRIORITIES } from '../src/background/rate-limiter.js';
+
+describe('createTokenBucket', () => {
+  let clock;
+  const now = () => clock;
+  // Advances the fake clock instead of waiting
+  const sleep = async ms => { clock += ms; };
+
+  beforeEach(() => {
+    clock = 0;
+  });
+
+  it('should allow a burst up to the capacity, then refill over time', async () => {
+    const limiter = createTokenBucket({ capacity: 3, refillMs: 3000, now, sleep });
+
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+    expect(clock).toBe(0);
+    expect(limiter.status().remaining).toBe(0);
+
+    await limiter.acquire();
+    expect(clock).toBe(1000);
+  });
+
+  it('should let higher priority calls go first', async () => {
+    const limiter = createTokenBucket({ capacity: 1, refillMs: 1000, now, sleep });
+    const order = [];
+
+    await limiter.acquire();
+    await Promise.all([
+      limiter.acquire(CALL_PRIORITIES.LOW).then(() => order.push('low')),
+      limiter.acquire(CALL_PRIORITIES.NORMAL).then(() => order.push('normal')),
+      limiter.acquire(CALL_PRIORITIES.HIGH).then(() => order.push('high'))
+    ]);
+
+    expect(order).toEqual(['high', 'normal', 'low']);
+  });
+
+  it('should keep the minimum delay between calls', async () => {
+    const limiter = createTokenBucket({ minDelay: 1100, now, sleep });
+
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(clock).toBe(1100);
+  });
+
+  it('should pause after a rate-limit error, longer each time', async () => {
+    const limiter = createTokenBucket({ now, sleep });
+
+    limiter.backOff();
+    expect(limiter.status().pausedUntil).toBe(10000);
+    await limiter.acquire();
+    expect(clock).toBe(10000);
+
+    limiter.backOff();
+    expect(limiter.status().pausedUntil).toBe(30000);
+
+    limiter.recordSuccess();
+    clock = 30000;
+    limiter.backOff();
+    expect(limiter.status().pausedUntil).toBe(40000);
+  });
+});
@@ -0,0 +1,78 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { historyCompactor, normalizeRetentionSettings } from '../src/background/torn-stock-predictor.js';
+
+describe('history retention', () => {
+  describe('rollup', () => {
+    it('should keep min, max and last quantity per bucket', () => {
+      const rows = [
+        { country: 'mex', item_id: 1, timestamp: 30, quantity: 400 },
+        { country: 'mex', item_id: 1, timestamp: 0, quantity: 500 },
+        { country: 'mex', item_id: 1, timestamp: 60, quantity: 350 },
+        { country: 'mex', item_id: 1, timestamp: 300, quantity: 340 }
+      ];
+      const result = historyCompactor.rollup(rows, 300);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ timestamp: 0, quantity: 350, min: 350, max: 500, samples: 3, resolution: 300 });
+      expect(result[1]).toMatchObject({ timestamp: 300, quantity: 340, samples: 1 });
+    });
+
+    it('should merge finer aggregates into coarser buckets', () => {
+      const rows = [
+        { country: 'mex', item_id: 1, timestamp: 0, quantity: 450, min: 400, max: 500, samples: 10, resolution: 300 },
+        { country: 'mex', item_id: 1, timestamp: 300, quantity: 100, min: 90, max: 450, samples: 10, resolution: 300 }
+      ];
+      const [hourly] = historyCompactor.rollup(rows, 3600);
+
+      expect(hourly).toMatchObject({ timestamp: 0, quantity: 100, min: 90, max: 500, samples: 20, resolution: 3600 });
+    });
+
+    it('should keep countries and items apart', () => {
+      const rows = [
+        { country: 'mex', item_id: 1, timestamp: 0, quantity: 1 },
+        { country: 'mex', item_id: 2, timestamp: 0, quantity: 2 },
+        { country: 'can', item_id: 1, timestamp: 0, quantity: 3 }
+      ];
+
+      expect(historyCompactor.rollup(rows, 300)).toHaveLength(3);
+    });
+
+    it('should keep the snapshot source and prefer shop counts', () => {
+      const rows = [
+        { country: 'uae', item_id: 1, timestamp: 0, quantity: 500, source: 'yata' },
+        { country: 'uae', item_id: 1, timestamp: 30, quantity: 420, source: 'shop' },
+        { country: 'uae', item_id: 1, timestamp: 60, quantity: 900, source: 'yata' },
+        { country: 'uae', item_id: 1, timestamp: 300, quantity: 10 }
+      ];
+      const [mixed, yata] = historyCompactor.rollup(rows, 300);
+
+      expect(mixed).toMatchObject({ source: 'shop', quantity: 420, min: 420, max: 420, samples: 3 });
+      expect(yata).toMatchObject({ source: 'yata', quantity: 10 });
+    });
+
+    it('should keep the shop source when merging aggregates', () => {
+      const rows = [
+        { country: 'mex', item_id: 1, timestamp: 0, quantity: 5, min: 5, max: 5, samples: 1, resolution: 300, source: 'shop' },
+        { country: 'mex', item_id: 1, timestamp: 300, quantity: 8, min: 8, max: 9, samples: 2, resolution: 300, source: 'shop' }
+      ];
+      const [hourly] = historyCompactor.rollup(rows, 3600);
+
+      expect(hourly).toMatchObject({ source: 'shop', quantity: 8, min: 5, max: 9, samples: 3 });
+    });
+  });
+
+  describe('normalizeRetentionSettings', () => {
+    it('should fall back to defaults', () => {
+      expect(normalizeRetentionSettings()).toEqual({ rawDays: 3, fiveMinuteDays: 30, hourlyDays: 0 });
+    });
+
+    it('should keep at least a day of raw data and order the tiers', () => {
+      expect(normalizeRetentionSettings({ rawDays: 0, fiveMinuteDays: 0, hourlyDays: 2 }))
+        .toEqual({ rawDays: 1, fiveMinuteDays: 1, hourlyDays: 2 });
+      expect(normalizeRetentionSettings({ rawDays: 7, fiveMinuteDays: 3, hourlyDays: 5 }))
+        .toEqual({ rawDays: 7, fiveMinuteDays: 7, hourlyDays: 7 });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION,
+  validateSettings,
+  normalizeSettings,
+  migrateSettings
+} from '../src/background/settings.js';
+
+describe('settings', () => {
+  describe('validateSettings', () => {
+    it('should accept the defaults', () => {
+      expect(validateSettings(DEFAULT_SETTINGS)).toEqual([]);
+    });
+
+    it('should report values out of range or of the wrong type', () => {
+      const errors = validateSettings({
+        ...DEFAULT_SETTINGS,
+        collection: { ...DEFAULT_SETTINGS.collection, fetchIntervalMinutes: 0.1, apiMinDelay: 'fast' },
+        market: { ...DEFAULT_SETTINGS.market, strategy: 'nope' }
+      });
+
+      expect(errors).toEqual([
+        'collection.fetchIntervalMinutes must be between 0.5 and 60',
+        'collection.apiMinDelay must be a number',
+        'market.strategy must be one of top-listings, lowest, depth-weighted, median, torn-average'
+      ]);
+    });
+
+    it('should require a URL for a mirror data source', () => {
+      const errors = validateSettings({
+        ...DEFAULT_SETTINGS,
+        sources: { ...DEFAULT_SETTINGS.sources, stock: 'mirror', stockMirrorUrl: 'yata.example.com', price: 'fixture' }
+      });
+
+      expect(errors).toEqual(['sources.stockMirrorUrl must be an http(s) URL']);
+    });
+  });
+
+  describe('normalizeSettings', () => {
+    it('should fill in missing values', () => {
+      expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+      expect(normalizeSettings({ market: { cacheMinutes: 10 } }).market.cacheMinutes).toBe(10);
+    });
+
+    it('should clamp numbers into range and drop invalid values', () => {
+      const settings = normalizeSettings({
+        collection: { fetchIntervalMinutes: 0, apiMinDelay: '2000' },
+        market: { listingSampleSize: 500, includeBazaar: 'yes', strategy: 'nope' }
+      });
+
+      expect(settings.collection).toEqual({ fetchIntervalMinutes: 0.5, apiMinDelay: 2000, staleMinutes: 30 });
+      expect(settings.market.listingSampleSize).toBe(100);
+      expect(settings.market.includeBazaar).toBe(false);
+      expect(settings.market.strategy).toBe('top-listings');
+    });
+
+    it('should fall back to the real service for a mirror without a URL', () => {
+      const settings = normalizeSettings({
+        sources: { stock: 'mirror', stockMirrorUrl: '', price: 'mirror', priceMirrorUrl: 'http://localhost:8080' }
+      });
+
+      expect(settings.sources.stock).toBe('yata');
+      expect(settings.sources.price).toBe('mirror');
+    });
+  });
+
+  describe('migrateSettings', () => {
+    it('should start from the defaults when nothing is stored', () => {
+      expect(migrateSettings(undefined)).toEqual(DEFAULT_SETTINGS);
+    });
+
+    it('should fold the legacy pricing settings into the market section', () => {
+      const settings = migrateSettings(undefined, { pricingSettings: { strategy: 'median', includeBazaar: true } });
+
+      expect(settings.version).toBe(SETTINGS_VERSION);
+      expect(settings.market.strategy).toBe('median');
+      expect(settings.market.includeBazaar).toBe(true);
+      expect(settings.market.cacheMinutes).toBe(5);
+    });
+
+    it('should add the badge section to version 1 settings', () => {
+      const settings = migrateSettings({ version: 1, market: { strategy: 'lowest' } });
+
+      expect(settings.badge).toEqual({ mode: 'best-profit' });
+      expect(settings.market.strategy).toBe('lowest');
+    });
+
+    it('should leave current settings unchanged', () => {
+      const current = { ...DEFAULT_SETTINGS, market: { ...DEFAULT_SETTINGS.market, strategy: 'lowest' } };
+
+      expect(migrateSettings(current, { pricingSettings: { strategy: 'median' } })).toEqual(current);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/* eslint-env jest, node */
+
+import { describe, it, expect } from '@jest/globals';
+import { stockAnalyzer, departurePlanner, priceWarmup } from '../src/background/torn-stock-predictor.js';
+
+// Builds a snapshot series that sells down and restocks every `interval` seconds
+function buildHistory({ start = 0, interval = 3600, cycles = 4, step = 300, peak = 500, sellPerStep = 20 }) {
+  const history = [];
+  let quantity = peak;
+  for (let t = start; t <= start + interval * cycles; t += step) {
+    if (t > start && (t - start) % interval === 0) {
+      quantity = peak;
+    }
+    history.push({ timestamp: t, quantity });
+    quantity = Math.max(0, quantity - sellPerStep);
+  }
+  return history;
+}
+
+describe('stockAnalyzer', () => {
+  describe('detectRestocks', () => {
+    it('should find each restock jump', () => {
+      const history = buildHistory({ interval: 3600, cycles: 3 });
+      const restocks = stockAnalyzer.detectRestocks(history);
+
+      expect(restocks.map(r => r.timestamp)).toEqual([3600, 7200, 10800]);
+      expect(restocks[0].quantity).toBe(500);
+    });
+
+    it('should ignore small fluctuations', () => {
+      const history = [
+        { timestamp: 0, quantity: 400 },
+        { timestamp: 30, quantity: 395 },
+        { timestamp: 60, quantity: 399 },
+        { timestamp: 90, quantity: 390 }
+      ];
+
+      expect(stockAnalyzer.detectRestocks(history)).toEqual([]);
+    });
+
+    it('should merge a restock spread over consecutive snapshots', () => {
+      const history = [
+        { timestamp: 0, quantity: 0 },
+        { timestamp: 30, quantity: 200 },
+        { timestamp: 60, quantity: 500 },
+        { timestamp: 90, quantity: 480 }
+      ];
+      const restocks = stockAnalyzer.detectRestocks(history);
+
+      expect(restocks).toHaveLength(1);
+      expect(restocks[0].size).toBe(500);
+    });
+  });
+
+  describe('predictRestock', () => {
+    it('should return null without enough data', () => {
+      expect(stockAnalyzer.predictRestock([])).toBeNull();
+      expect(stockAnalyzer.predictRestock([{ timestamp: 0, quantity: 1 }])).toBeNull();
+    });
+
+    it('should forecast the next restock from the learned interval', () => {
+      const history = buildHistory({ interval: 3600, cycles: 4 });
+      const last = history[history.length - 1].timestamp;
+      const prediction = stockAnalyzer.predictRestock(history, last);
+
+      expect(prediction.restockCount).toBe(4);
+      expect(prediction.avgInterval).toBe(3600);
+      expect(prediction.lastRestock).toBe(14400);
+      expect(prediction.nextRestock).toBe(18000);
+      expect(prediction.earliest).toBeLessThanOrEqual(prediction.nextRestock);
+      expect(prediction.latest).toBeGreaterThanOrEqual(prediction.nextRestock);
+      expect(prediction.confidence).toBe('high');
+      expect(prediction.overdue).toBe(false);
+    });
+
+    it('should not forecast a time with only one restock', () => {
+      const history = buildHistory({ interval: 3600, cycles: 1 });
+      const prediction = stockAnalyzer.predictRestock(history);
+
+      expect(prediction.restockCount).toBe(1);
+      expect(prediction.nextRestock).toBeNull();
+    });
+
+    it('should flag a forecast that has already passed', () => {
+      const history = buildHistory({ interval: 3600, cycles: 3 });
+      const prediction = stockAnalyzer.predictRestock(history, 20000);
+
+      expect(prediction.overdue).toBe(true);
+    });
+  });
+
+  describe('preferShopSnapshots', () => {
+    it('should drop YATA snapshots next to a shop snapshot', () => {
+      const history = [
+        { timestamp: 0, quantity: 500, source: 'yata' },
+        { timestamp: 600, quantity: 480, source: 'yata' },
+        { timestamp: 700, quantity: 430, source: 'shop' },
+        { timestamp: 900, quantity: 480, source: 'yata' },
+        { timestamp: 1200, quantity: 400, source: 'yata' }
+      ];
+
+      expect(stockAnalyzer.preferShopSnapshots(history).map(d => d.timestamp)).toEqual([0, 700, 1200]);
+    });
+
+    it('should leave YATA-only history untouched', () => {
+      const history = [{ timestamp: 0, quantity: 500 }, { timestamp: 60, quantity: 490 }];
+
+      expect(stockAnalyzer.preferShopSnapshots(history)).toBe(history);
+    });
+  });
+
+  describe('estimateDepletionRate', () => {
+    it('should measure units sold per minute', () => {
+      // 20 units every 5 minutes, starting at midnight UTC
+      const history = buildHistory({ interval: 3600, cycles: 2 });
+      const depletion = stockAnalyzer.estimateDepletionRate(history);
+
+      expect(depletion.overall).toBeCloseTo(4, 5);
+      expect(depletion.byPeriod[0]).toBeCloseTo(4, 5);
+      expect(depletion.byPeriod[1]).toBeNull();
+    });
+
+    it('should skip gaps in collection', () => {
+      const history = [
+        { timestamp: 0, quantity: 500 },
+        { timestamp: 60, quantity: 490 },
+        { timestamp: 7200, quantity: 100 }
+      ];
+
+      expect(stockAnalyzer.estimateDepletionRate(history).overall).toBeCloseTo(10, 5);
+    });
+  });
+
+  describe('analyzePriceTrend', () => {
+    const day = 24 * 60 * 60;
+    const now = 8 * day;
+    // Hourly prices over 8 days, rising $10 per day
+    const prices = Array.from({ length: 8 * 24 + 1 }, (_, i) => ({
+      timestamp: i * 3600,
+      price: 1000 + Math.floor(i / 24) * 10
+    }));
+
+    it('should return null without enough prices', () => {
+      expect(stockAnalyzer.analyzePriceTrend([], now)).toBeNull();
+      expect(stockAnalyzer.analyzePriceTrend([{ timestamp: now, price: 1000 }], now)).toBeNull();
+    });
+
+    it('should report change over 24 hours and 7 days', () => {
+      const trend = stockAnalyzer.analyzePriceTrend(prices, now);
+
+      expect(trend.current).toBe(1080);
+      expect(trend.change24h).toBeCloseTo((1080 - 1070) / 1070 * 100, 5);
+      expect(trend.change7d).toBeCloseTo((1080 - 1010) / 1010 * 100, 5);
+      expect(trend.volatility).toBeGreaterThan(0);
+      expect(trend.unusuallyLow).toBe(false);
+    });
+
+    it('should leave a change unknown when history is too short', () => {
+      const trend = stockAnalyzer.analyzePriceTrend(prices.slice(-12), now);
+
+      expect(trend.change24h).toBeNull();
+      expect(trend.change7d).toBeNull();
+    });
+
+    it('should compare the current price with the moving average', () => {
+      const trend = stockAnalyzer.analyzePriceTrend(prices, now);
+
+      expect(trend.aboveAverage).toBe(true);
+      expect(trend.vsMovingAverage).toBeGreaterThan(0);
+    });
+
+    it('should flag a price far below its history', () => {
+      const trend = stockAnalyzer.analyzePriceTrend([...prices, { timestamp: now + 60, price: 700 }], now + 60);
+
+      expect(trend.aboveAverage).toBe(false);
+      expect(trend.unusuallyLow).toBe(true);
+    });
+  });
+
+  describe('projectQuantity', () => {
+    const depletion = { overall: 2, byPeriod: [5, null, null, null] };
+
+    it('should use the rate of each time-of-day period', () => {
+      // Departing at 05:00 UTC: 60 minutes at 5/min, then 60 at the overall 2/min
+      expect(stockAnalyzer.projectQuantity(1000, depletion, 120, 5 * 3600)).toBe(580);
+    });
+
+    it('should not project below zero', () => {
+      expect(stockAnalyzer.projectQuantity(100, depletion, 60, 0)).toBe(0);
+    });
+
+    it('should add a restock forecast to land during the flight', () => {
+      const restock = { nextRestock: 1800, avgSize: 400 };
+
+      expect(stockAnalyzer.projectQuantity(100, depletion, 60, 0, restock)).toBe(250);
+    });
+  });
+});
+
+describe('departurePlanner', () => {
+  const now = 100000;
+  const makeItem = (overrides = {}) => ({
+    id: 1,
+    name: 'Plushie',
+    country: 'mex',
+    cost: 1000,
+    market_price: 3000,
+    flight_time: 30,
+    carry_capacity: 10,
+    ticket_cost: 0,
+    restock: { nextRestock: now + 3600, avgInterval: 7200, avgSize: 500, confidence: 'high' },
+    ...overrides
+  });
+
+  it('should depart so the flight lands just after the restock', () => {
+    const [plan] = departurePlanner.plan({ mex: [makeItem()] }, now);
+
+    expect(plan.restock_at).toBe(now + 3600);
+    expect(plan.arrival).toBeGreaterThan(plan.restock_at);
+    expect(plan.arrival - plan.departure).toBe(30 * 60);
+    expect(plan.expected_units).toBe(10);
+    expect(plan.expected_profit).toBe(20000);
+  });
+
+  it('should move on to the next cycle when the next restock cannot be reached', () => {
+    const item = makeItem({ flight_time: 120 });
+    const [plan] = departurePlanner.plan({ mex: [item] }, now);
+
+    expect(plan.restock_at).toBe(now + 3600 + 7200);
+  });
+
+  it('should rank opportunities by expected profit', () => {
+    const plan = departurePlanner.plan({
+      mex: [makeItem()],
+      can: [makeItem({ id: 2, country: 'can', market_price: 5000 })]
+    }, now);
+
+    expect(plan.map(p => p.country)).toEqual(['can', 'mex']);
+  });
+
+  it('should skip items without a forecast or beyond the horizon', () => {
+    const plan = departurePlanner.plan({
+      mex: [
+        makeItem({ restock: null }),
+        makeItem({ id: 2, restock: { nextRestock: now + 10 * 3600, avgInterval: 7200, avgSize: 500 } })
+      ]
+    }, now);
+
+    expect(plan).toEqual([]);
+  });
+});
+
+describe('priceWarmup', () => {
+  const now = 100000;
+
+  describe('order', () => {
+    it('should put never-priced items first, then profitable and stale ones', () => {
+      const lastPriced = { 1: now - 600, 2: now - 7200, 3: now - 600 };
+      const profit = { 1: 100, 2: 100, 3: 900 };
+
+      expect(priceWarmup.order([1, 2, 3, 4], { lastPriced, profit }, now)).toEqual([4, 3, 2, 1]);
+    });
+
+    it('should skip items priced recently', () => {
+      const lastPriced = { 1: now - 60, 2: now - 600 };
+
+      expect(priceWarmup.order([1, 2], { lastPriced }, now, 300)).toEqual([2]);
+    });
+  });
+
+  describe('applyPrice', () => {
+    it('should recompute the profit of every listing of the item', () => {
+      const stockData = {
+        mex: [{ id: 258, cost: 10000, flight_time: 20, carry_capacity: 10, projected_quantity: 100, ticket_cost: 0, market_price: 0 }],
+        can: [{ id: 261, cost: 30000, flight_time: 40, carry_capacity: 10, projected_quantity: 100, ticket_cost: 0, market_price: 0 }]
+      };
+
+      expect(priceWarmup.applyPrice(stockData, 258, { price: 14000, method: 'median' })).toBe(true);
+      expect(stockData.mex[0]).toMatchObject({
+        market_price: 14000,
+        price_method: 'median',
+        profit_per_minute: 100,
+        profit_per_trip: 40000,
+        trip_profit_per_minute: 1000
+      });
+      expect(stockData.can[0].market_price).toBe(0);
+      expect(priceWarmup.applyPrice(stockData, 1, { price: 5 })).toBe(false);
+    });
+  });
+});
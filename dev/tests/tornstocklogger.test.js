@@ -118,6 +118,10 @@ describe('TornStockLogger', () => {
       expect(result).toEqual({
         price: 1000,
         type: 'Plushie',
+        method: 'top-listings',
+        source: 'itemmarket',
+        listing_count: 3,
+        average_price: 1000,
         timestamp: expect.any(Number)
       });
     });
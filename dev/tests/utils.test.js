@@ -1,7 +1,20 @@
 /* eslint-env jest, node */
 
-import { jest, describe, it, expect } from '@jest/globals';
-import { calculateProfitPerMinute } from '../src/background/torn-stock-predictor.js';
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import {
+  calculateProfitPerMinute,
+  calculateCarryCapacity,
+  calculateTripProfit,
+  getFlightTime,
+  getTicketCost,
+  isTrackedItem,
+  normalizeItemFilter,
+  setItemFilter,
+  priceCalculator,
+  PRICING_STRATEGIES,
+  downsampleSeries,
+  countryCodeFromName
+} from '../src/background/torn-stock-predictor.js';
 
 describe('TornStockLogger Utils', () => {
   describe('calculateProfitPerMinute', () => {
@@ -23,4 +36,170 @@ describe('TornStockLogger Utils', () => {
       expect(calculateProfitPerMinute('1000', '2000', '30')).toBeCloseTo(16.67, 2);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('calculateCarryCapacity', () => {
+    it('should default to the base capacity', () => {
+      expect(calculateCarryCapacity()).toBe(5);
+    });
+
+    it('should add suitcase, airstrip and job perk bonuses', () => {
+      expect(calculateCarryCapacity({ suitcase: 'large', airstrip: true, jobPerk: 2 })).toBe(21);
+    });
+
+    it('should ignore unknown suitcases and invalid perks', () => {
+      expect(calculateCarryCapacity({ suitcase: 'huge', jobPerk: -3 })).toBe(5);
+    });
+  });
+
+  describe('calculateTripProfit', () => {
+    it('should calculate profit for a full load over the round trip', () => {
+      const trip = calculateTripProfit(1000, 2000, 30, 10);
+
+      expect(trip.units).toBe(10);
+      expect(trip.profitPerTrip).toBe(10000);
+      expect(trip.roundTrip).toBe(60);
+      expect(trip.profitPerMinute).toBeCloseTo(166.67, 2);
+    });
+
+    it('should limit units to the stock available on arrival', () => {
+      const trip = calculateTripProfit(1000, 2000, 30, 10, 4);
+
+      expect(trip.units).toBe(4);
+      expect(trip.profitPerTrip).toBe(4000);
+    });
+
+    it('should return 0 profit when no stock is left', () => {
+      const trip = calculateTripProfit(1000, 2000, 30, 10, 0);
+
+      expect(trip.units).toBe(0);
+      expect(trip.profitPerMinute).toBe(0);
+    });
+  });
+
+  describe('travel methods', () => {
+    it('should scale flight times by the travel method', () => {
+      expect(getFlightTime('mex')).toBe(36);
+      expect(getFlightTime('mex', 'airstrip')).toBe(25);
+      expect(getFlightTime('sou', 'business')).toBe(125);
+    });
+
+    it('should fall back to standard for unknown methods', () => {
+      expect(getFlightTime('jap', 'rocket')).toBe(316);
+    });
+
+    it('should only charge tickets for commercial flights', () => {
+      expect(getTicketCost('mex')).toBe(6500);
+      expect(getTicketCost('mex', 'wlt')).toBe(0);
+      expect(getTicketCost('unknown')).toBe(0);
+    });
+
+    it('should deduct the ticket from trip profit', () => {
+      const trip = calculateTripProfit(1000, 2000, 30, 10, 10, 6500);
+
+      expect(trip.profitPerTrip).toBe(3500);
+    });
+  });
+
+  describe('item filter', () => {
+    afterEach(() => {
+      setItemFilter(null);
+    });
+
+    it('should track plushies and flowers by default', () => {
+      expect(isTrackedItem(1, 'Plushie')).toBe(true);
+      expect(isTrackedItem(2, 'Flower')).toBe(true);
+      expect(isTrackedItem(3, 'Drug')).toBe(false);
+    });
+
+    it('should honor configured types and item IDs', () => {
+      setItemFilter({ types: ['Drug'], itemIds: ['206'] });
+
+      expect(isTrackedItem(3, 'Drug')).toBe(true);
+      expect(isTrackedItem(1, 'Plushie')).toBe(false);
+      expect(isTrackedItem(206, 'Alcohol')).toBe(true);
+      expect(isTrackedItem('206', undefined)).toBe(true);
+    });
+
+    it('should drop invalid entries when normalizing', () => {
+      expect(normalizeItemFilter({ types: ['Drug', 5], itemIds: ['x', -1, 12] })).toEqual({
+        types: ['Drug'],
+        itemIds: [12]
+      });
+    });
+  });
+
+  describe('pricing strategies', () => {
+    const listings = priceCalculator.mergeListings(
+      [{ price: 900, amount: 2 }, { price: 1000, amount: 5 }, { price: 1100, amount: 10 }],
+      [{ cost: 950, quantity: 3 }]
+    );
+
+    it('should merge item market and bazaar listings cheapest first', () => {
+      expect(listings.map(l => [l.price, l.source])).toEqual([
+        [900, 'itemmarket'], [950, 'bazaar'], [1000, 'itemmarket'], [1100, 'itemmarket']
+      ]);
+    });
+
+    it('should price the cheapest units for the quantity sold', () => {
+      // 2 x 900 + 3 x 950 + 5 x 1000
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.DEPTH_WEIGHTED, listings, 1000, 10)).toBe(965);
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.DEPTH_WEIGHTED, listings, 1000, 2)).toBe(900);
+    });
+
+    it('should support lowest, median and Torn average prices', () => {
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.LOWEST, listings, 1000, 10)).toBe(900);
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.MEDIAN, listings, 1000, 10)).toBe(1050);
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.TORN_AVERAGE, listings, 1020, 10)).toBe(1020);
+    });
+
+    it('should keep the top-listings rule as the default', () => {
+      // 1100 is outside 10% of the 990 average
+      expect(priceCalculator.calculate(undefined, listings, 990, 10)).toBe(950);
+    });
+
+    it('should apply the configured tolerance and sample size', () => {
+      expect(priceCalculator.calculate(undefined, listings, 990, 10, { tolerance: 0.2, sampleSize: 4 })).toBe(988);
+      expect(priceCalculator.calculate(undefined, listings, 990, 10, { tolerance: 0.1, sampleSize: 1 })).toBe(900);
+    });
+
+    it('should return 0 without listings', () => {
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.MEDIAN, [], 1000, 10)).toBe(0);
+      expect(priceCalculator.calculate(PRICING_STRATEGIES.DEPTH_WEIGHTED, [], 1000, 10)).toBe(0);
+    });
+  });
+
+  describe('downsampleSeries', () => {
+    it('should leave short series untouched', () => {
+      const series = [{ timestamp: 0, value: 1 }, { timestamp: 30, value: 2 }];
+      expect(downsampleSeries(series, 10)).toBe(series);
+    });
+
+    it('should keep the last point of each bucket', () => {
+      const series = Array.from({ length: 100 }, (_, i) => ({ timestamp: i * 30, value: i }));
+      const result = downsampleSeries(series, 10);
+
+      expect(result).toHaveLength(10);
+      expect(result[result.length - 1]).toEqual(series[series.length - 1]);
+    });
+  });
+
+  describe('countryCodeFromName', () => {
+    it('should map displayed destination names to country codes', () => {
+      expect(countryCodeFromName('United Arab Emirates')).toBe('uae');
+      expect(countryCodeFromName('UAE')).toBe('uae');
+      expect(countryCodeFromName('Cayman Islands')).toBe('cay');
+      expect(countryCodeFromName('United Kingdom')).toBe('uni');
+      expect(countryCodeFromName('South Africa')).toBe('sou');
+    });
+
+    it('should find the destination inside a longer heading', () => {
+      expect(countryCodeFromName('  Welcome to the United Arab Emirates! ')).toBe('uae');
+    });
+
+    it('should accept country codes and reject unknown names', () => {
+      expect(countryCodeFromName('jap')).toBe('jap');
+      expect(countryCodeFromName('Torn City')).toBeNull();
+      expect(countryCodeFromName(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// The Torn API key: where it is stored, optional passphrase encryption, and
+// how much access it grants.
+//
+// Without a passphrase the key is kept in storage.local as "tornApiKey". With
+// one, storage.local only holds "encryptedApiKey" (AES-GCM under a key derived
+// from the passphrase with PBKDF2) and the decrypted key is kept in
+// storage.session, so it survives the background being suspended but not a
+// browser restart. After a restart the key stays locked until the passphrase
+// is entered again.
+
+// Torn key access levels, as reported by the key info selection
+export const KEY_ACCESS_LEVELS = {
+    CUSTOM: 0,
+    PUBLIC: 1,
+    MINIMAL: 2,
+    LIMITED: 3,
+    FULL: 4
+};
+
+// Every call the extension makes (basic user, items, market) is public
+export const REQUIRED_KEY_ACCESS = KEY_ACCESS_LEVELS.PUBLIC;
+
+const PBKDF2_ITERATIONS = 310000;
+const UNLOCKED_KEY = "unlockedApiKey";
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+        { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+        material,
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["encrypt", "decrypt"]
+    );
+}
+
+// Encrypts the key into a record that can be kept in storage.local
+export async function encryptApiKey(apiKey, passphrase, iterations = PBKDF2_ITERATIONS) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(apiKey));
+    return {
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        iterations,
+        ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+// AES-GCM checks integrity, so a wrong passphrase fails instead of returning garbage
+export async function decryptApiKey(record, passphrase) {
+    try {
+        const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+        const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(record.iv) }, key, fromBase64(record.ciphertext));
+        return new TextDecoder().decode(plain);
+    } catch (err) {
+        throw new Error("Wrong passphrase");
+    }
+}
+
+// Firefox before 115 has no storage.session; the unlocked key is then only
+// kept in memory and has to be unlocked again when the background restarts
+let unlockedInMemory = null;
+
+async function readUnlockedKey() {
+    if (!browser.storage.session) return unlockedInMemory;
+    const data = await browser.storage.session.get([UNLOCKED_KEY]);
+    return data[UNLOCKED_KEY] || null;
+}
+
+async function writeUnlockedKey(apiKey) {
+    unlockedInMemory = apiKey;
+    if (!browser.storage.session) return;
+    if (apiKey) {
+        await browser.storage.session.set({ [UNLOCKED_KEY]: apiKey });
+    } else {
+        await browser.storage.session.remove(UNLOCKED_KEY);
+    }
+}
+
+// { apiKey, encrypted, locked }; apiKey is null when none is saved or it is locked
+export async function loadApiKey() {
+    const { tornApiKey, encryptedApiKey } = await browser.storage.local.get(["tornApiKey", "encryptedApiKey"]);
+    if (!encryptedApiKey) {
+        return { apiKey: tornApiKey || null, encrypted: false, locked: false };
+    }
+    const apiKey = await readUnlockedKey();
+    return { apiKey, encrypted: true, locked: !apiKey };
+}
+
+// Saves the key, encrypted when a passphrase is given, replacing any saved
+// key. `access` (from describeKeyAccess) is kept in the clear for the popup.
+export async function saveApiKey(apiKey, passphrase = "", access = null) {
+    await browser.storage.local.set({ keyAccess: access });
+    if (passphrase) {
+        await browser.storage.local.set({ encryptedApiKey: await encryptApiKey(apiKey, passphrase) });
+        await browser.storage.local.remove("tornApiKey");
+        await writeUnlockedKey(apiKey);
+    } else {
+        await browser.storage.local.set({ tornApiKey: apiKey });
+        await browser.storage.local.remove("encryptedApiKey");
+        await writeUnlockedKey(null);
+    }
+}
+
+export async function unlockApiKey(passphrase) {
+    const { encryptedApiKey } = await browser.storage.local.get(["encryptedApiKey"]);
+    if (!encryptedApiKey) {
+        throw new Error("No encrypted API key saved");
+    }
+    const apiKey = await decryptApiKey(encryptedApiKey, passphrase);
+    await writeUnlockedKey(apiKey);
+    return apiKey;
+}
+
+export async function clearApiKey() {
+    await browser.storage.local.remove(["tornApiKey", "encryptedApiKey", "keyAccess"]);
+    await writeUnlockedKey(null);
+}
+
+// Describes a key info response ({ access_level, access_type }), with a
+// warning when the key grants more than the extension needs. Custom keys
+// pick their selections one by one, so they are not flagged.
+export function describeKeyAccess(info) {
+    const level = info.access_level;
+    const type = info.access_type || "Unknown";
+    const warning = level > REQUIRED_KEY_ACCESS
+        ? `This key's access level is ${type}, but the extension only needs Public Only. Consider creating a separate Public Only key for it.`
+        : null;
+    return { accessLevel: level, accessType: type, warning };
+}
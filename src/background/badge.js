@@ -0,0 +1,110 @@
+// Toolbar badge: a glanceable summary of the latest stock data for the
+// countries selected in the popup, or an error marker while fetches fail.
+import { logger } from './logger.js';
+import { RECENT_RESTOCK_WINDOW } from './notifications.js';
+import { BADGE_MODES } from './settings.js';
+
+const BADGE_COLORS = {
+    profit: "#28a745",
+    restocked: "#1a73e8",
+    error: "#dc3545"
+};
+
+// Latest inputs, kept so the badge can be redrawn when the mode or country filter changes
+const badgeState = {
+    mode: BADGE_MODES.BEST_PROFIT,
+    stockData: null,
+    errors: {} // source ("yata", "torn") -> message
+};
+
+// Fits a dollar amount into the badge's four characters: 950, 1.2k, 12k, 3.4m
+export function formatBadgeAmount(amount) {
+    const value = Math.max(0, Math.round(amount || 0));
+    if (value < 1000) return String(value);
+    if (value < 10000) return `${(value / 1000).toFixed(1).replace(/\.0$/, "")}k`;
+    if (value < 1000000) return `${Math.round(value / 1000)}k`;
+    return `${(value / 1000000).toFixed(1).replace(/\.0$/, "")}m`;
+}
+
+// Works out the badge { text, color, title } for the given state
+export function computeBadge(stockData, { mode = BADGE_MODES.BEST_PROFIT, countryFilter = null, errors = {} } = {}, now = Math.floor(Date.now() / 1000)) {
+    const failing = Object.entries(errors).filter(([, message]) => message);
+    if (failing.length) {
+        return {
+            text: "!",
+            color: BADGE_COLORS.error,
+            title: failing.map(([source, message]) => `${source.toUpperCase()} fetch failing: ${message}`).join("\n")
+        };
+    }
+    if (mode === BADGE_MODES.OFF || !stockData) {
+        return { text: "", color: null, title: "" };
+    }
+
+    const selected = Array.isArray(countryFilter) ? new Set(countryFilter) : null;
+    const items = Object.entries(stockData)
+        .filter(([country]) => !selected || selected.has(country))
+        .flatMap(([, countryItems]) => countryItems);
+
+    if (mode === BADGE_MODES.RESTOCKED) {
+        const restocked = items.filter(item =>
+            item.restock && item.restock.lastRestock && now - item.restock.lastRestock <= RECENT_RESTOCK_WINDOW);
+        return {
+            text: restocked.length ? String(restocked.length) : "",
+            color: BADGE_COLORS.restocked,
+            title: restocked.length
+                ? `Just restocked: ${restocked.map(item => `${item.name} (${item.country.toUpperCase()})`).join(", ")}`
+                : "No recent restocks"
+        };
+    }
+
+    const profit = item => item.trip_profit_per_minute ?? item.profit_per_minute ?? 0;
+    const best = items.reduce((top, item) => (!top || profit(item) > profit(top) ? item : top), null);
+    if (!best || profit(best) <= 0) {
+        return { text: "", color: BADGE_COLORS.profit, title: "No profitable items" };
+    }
+    return {
+        text: formatBadgeAmount(profit(best)),
+        color: BADGE_COLORS.profit,
+        title: `Best: ${best.name} (${best.country.toUpperCase()}) $${Math.round(profit(best)).toLocaleString()}/min`
+    };
+}
+
+// Redraws the badge from the saved state
+export async function refreshBadge() {
+    if (typeof browser === 'undefined' || !browser.action) return;
+    try {
+        const { countryFilter } = await browser.storage.local.get(["countryFilter"]);
+        const badge = computeBadge(badgeState.stockData, {
+            mode: badgeState.mode,
+            countryFilter,
+            errors: badgeState.errors
+        });
+        await browser.action.setBadgeText({ text: badge.text });
+        if (badge.color) {
+            await browser.action.setBadgeBackgroundColor({ color: badge.color });
+        }
+        // A null title restores the default from the manifest
+        await browser.action.setTitle({ title: badge.title ? `Torn Foreign Stock Predictor\n${badge.title}` : null });
+    } catch (err) {
+        logger.warn("Failed to update badge:", err);
+    }
+}
+
+// Called after each stock fetch
+export function updateBadge(stockData) {
+    badgeState.stockData = stockData;
+    return refreshBadge();
+}
+
+export function setBadgeMode(mode) {
+    badgeState.mode = Object.values(BADGE_MODES).includes(mode) ? mode : BADGE_MODES.BEST_PROFIT;
+    return refreshBadge();
+}
+
+// Records (or, with a null error, clears) a failing data source
+export function setBadgeError(source, error) {
+    const message = error ? (error.message || String(error)) : null;
+    if ((badgeState.errors[source] || null) === message) return Promise.resolve();
+    badgeState.errors[source] = message;
+    return refreshBadge();
+}
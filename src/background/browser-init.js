@@ -1,29 +1,65 @@
+import { MESSAGE_TYPES, dispatchMessage } from './messages.js';
+
+// Handlers for each request type; see messages.js for payloads and replies
+export function createMessageHandlers(initialize) {
+  // The predictor imports this module, so it is loaded lazily. Handlers run
+  // once it has loaded the saved key and settings.
+  const predictor = async () => {
+    const module = await import('./torn-stock-predictor.js');
+    await module.whenReady();
+    return module;
+  };
+
+  return {
+    [MESSAGE_TYPES.GET_ITEM_HISTORY]: async msg =>
+      (await predictor()).getItemHistory(msg.country, msg.itemId, msg.hours),
+    // Content scripts read predictions here instead of calling any API themselves
+    [MESSAGE_TYPES.GET_PREDICTIONS]: async msg =>
+      (await predictor()).getPredictions(msg.countries),
+    [MESSAGE_TYPES.REFRESH]: async msg =>
+      (await predictor()).refreshStock({ countries: msg.countries, itemIds: msg.itemIds }),
+    [MESSAGE_TYPES.GET_STATUS]: async () =>
+      (await predictor()).getStatus(),
+    [MESSAGE_TYPES.GET_SETTINGS]: async () =>
+      (await predictor()).getSettings(),
+    [MESSAGE_TYPES.RESTART_COLLECTOR]: async () => {
+      await initialize();
+      return null;
+    },
+    // The popup checks keys here so the call shares the background's rate limit
+    [MESSAGE_TYPES.VALIDATE_KEY]: async msg =>
+      (await predictor()).validateApiKey(msg.key),
+    [MESSAGE_TYPES.SAVE_KEY]: async msg =>
+      (await predictor()).saveKey(msg.key, msg.passphrase),
+    [MESSAGE_TYPES.UNLOCK_KEY]: async msg => {
+      await (await predictor()).unlockKey(msg.passphrase);
+      return null;
+    },
+    [MESSAGE_TYPES.REMOVE_KEY]: async () => {
+      await (await predictor()).removeKey();
+      return null;
+    },
+    [MESSAGE_TYPES.SHOP_STOCK]: async msg =>
+      (await predictor()).recordShopStock(msg.country, msg.items, msg.timestamp),
+    [MESSAGE_TYPES.EXPORT_HISTORY]: async msg =>
+      (await predictor()).exportHistory(msg.filters, msg.format),
+    [MESSAGE_TYPES.IMPORT_HISTORY]: async msg =>
+      (await predictor()).importHistory(msg.content, msg.format),
+    [MESSAGE_TYPES.GET_DIAGNOSTICS]: async () =>
+      (await predictor()).getDiagnostics(),
+    [MESSAGE_TYPES.CLEAR_DIAGNOSTICS]: async () => {
+      await (await predictor()).clearDiagnostics();
+      return null;
+    }
+  };
+}
+
 // Initialize browser event listeners
 export function initializeBrowserListeners(initialize) {
   if (typeof browser !== 'undefined') {
-    browser.runtime.onMessage.addListener(msg => {
-      if (msg.type === "restart-collector") {
-        initialize();
-      }
-      if (msg.type === "manual-refresh") {
-        // Set manual refresh mode and trigger fetchAndLogStock
-        import('./torn-stock-predictor.js').then(module => {
-          module.setManualRefreshMode(true);
-          module.fetchAndLogStock(msg.countries).catch(err => {
-            // Optionally log error
-            if (module.logger) module.logger.error("Manual refresh failed:", err);
-          });
-        });
-      }
-    });
+    const handlers = createMessageHandlers(initialize);
+    // Returning the reply promise sends its result back to the caller
+    browser.runtime.onMessage.addListener((msg, sender) =>
+      dispatchMessage(handlers, msg, sender, browser.runtime.getURL('')));
   }
 }
-
-// Example usage in message handler
-if (typeof browser !== 'undefined') {
-  browser.runtime.onMessage.addListener(async (msg) => {
-    if (msg.type === "get-historical-data") {
-      // This will be handled by the main module
-    }
-  });
-} 
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Where stock and price data come from. The background asks the active stock
+// and price providers for responses instead of calling fetch() itself, so
+// YATA and the Torn API can be swapped for a self-hosted mirror or for
+// recorded fixtures (dev/fixtures) when working offline.
+//
+// Every provider method resolves with a fetch Response, so callers keep
+// their usual `res.ok` / `res.json()` handling whatever the source.
+import { STOCK_SOURCES, PRICE_SOURCES } from './settings.js';
+
+const YATA_BASE_URL = "https://yata.yt";
+const TORN_BASE_URL = "https://api.torn.com";
+// The only origin the API key is sent to; mirrors are third-party hosts
+const TORN_ORIGIN = new URL(TORN_BASE_URL).origin;
+
+// Paths of the calls the extension makes, relative to a provider's base URL.
+// A mirror serves the same paths as the service it replaces. The API key is
+// never part of a URL, so it stays out of server logs and error messages.
+const ENDPOINTS = {
+    stockExport: () => "/api/v1/travel/export/",
+    itemMarket: (itemId) => `/v2/market/${itemId}/itemmarket?offset=0`,
+    bazaar: (itemId) => `/market/${itemId}?selections=bazaar`,
+    items: () => "/torn/?selections=items",
+    user: () => "/user/?selections=basic",
+    keyInfo: () => "/key/?selections=info"
+};
+
+// Torn's "Incorrect ID" error, returned for items that have no fixture
+const TORN_INCORRECT_ID = 6;
+
+function joinUrl(baseUrl, path) {
+    return baseUrl.replace(/\/+$/, "") + path;
+}
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { "Content-Type": "application/json" }
+    });
+}
+
+// Talks to YATA/Torn, or to a mirror of either at `baseUrl`. Torn takes the
+// key in an "Authorization: ApiKey <key>" header; any other host gets no key.
+export function createHttpProvider(name, baseUrl) {
+    const sendsKey = new URL(baseUrl).origin === TORN_ORIGIN;
+    const get = (path, key = null) => fetch(
+        joinUrl(baseUrl, path),
+        key && sendsKey ? { headers: { Authorization: `ApiKey ${key}` } } : undefined
+    );
+    return {
+        name,
+        fetchStockExport: () => get(ENDPOINTS.stockExport()),
+        fetchItemMarket: (itemId, key) => get(ENDPOINTS.itemMarket(itemId), key),
+        fetchBazaar: (itemId, key) => get(ENDPOINTS.bazaar(itemId), key),
+        fetchItems: (key) => get(ENDPOINTS.items(), key),
+        fetchUser: (key) => get(ENDPOINTS.user(), key),
+        fetchKeyInfo: (key) => get(ENDPOINTS.keyInfo(), key)
+    };
+}
+
+// Replays recorded responses from a fixture directory:
+//   index.json                  { "stockExports": ["yata-export-1.json", ...] }
+//   <stock export>.json         YATA travel exports, served in turn
+//   torn/items.json             Torn items list
+//   torn/user.json              Torn basic user info, used to check the key
+//   torn/keyinfo.json           Torn key info, with the key's access level
+//   torn/itemmarket/<id>.json   Torn v2 item market responses
+//   torn/bazaar/<id>.json       Torn v1 bazaar responses (optional)
+// Exports are shifted to the current time, so replayed stock looks fresh to
+// the staleness checks and each replay is recorded as a new update.
+export function createFixtureProvider(baseUrl, now = () => Math.floor(Date.now() / 1000)) {
+    let nextExport = 0;
+
+    async function readFixture(path) {
+        const res = await fetch(joinUrl(baseUrl, `/${path}`));
+        return res.ok ? res.json() : null;
+    }
+
+    return {
+        name: STOCK_SOURCES.FIXTURE,
+
+        async fetchStockExport() {
+            const index = await readFixture("index.json");
+            const files = (index && index.stockExports) || [];
+            const recorded = files.length ? await readFixture(files[nextExport++ % files.length]) : null;
+            if (!recorded) {
+                return jsonResponse({ error: { code: 1, error: "No recorded YATA export found" } }, 404);
+            }
+
+            const offset = now() - recorded.timestamp;
+            const stocks = {};
+            for (const [country, data] of Object.entries(recorded.stocks || {})) {
+                stocks[country] = { ...data, update: data.update + offset };
+            }
+            return jsonResponse({ ...recorded, stocks, timestamp: recorded.timestamp + offset });
+        },
+
+        async fetchItemMarket(itemId) {
+            const data = await readFixture(`torn/itemmarket/${itemId}.json`);
+            return jsonResponse(data || { error: { code: TORN_INCORRECT_ID, error: `Incorrect ID (no fixture for item ${itemId})` } });
+        },
+
+        async fetchBazaar(itemId) {
+            return jsonResponse((await readFixture(`torn/bazaar/${itemId}.json`)) || { bazaar: [] });
+        },
+
+        async fetchItems() {
+            return jsonResponse((await readFixture("torn/items.json")) || { items: {} });
+        },
+
+        async fetchUser() {
+            return jsonResponse((await readFixture("torn/user.json")) || { error: { code: 2, error: "Incorrect key (no user fixture)" } });
+        },
+
+        async fetchKeyInfo() {
+            return jsonResponse((await readFixture("torn/keyinfo.json")) || { error: { code: 2, error: "Incorrect key (no key info fixture)" } });
+        }
+    };
+}
+
+function fixtureBaseUrl() {
+    return browser.runtime.getURL("dev/fixtures");
+}
+
+const activeSources = {
+    stock: createHttpProvider(STOCK_SOURCES.YATA, YATA_BASE_URL),
+    price: createHttpProvider(PRICE_SOURCES.TORN, TORN_BASE_URL)
+};
+
+// The sources the active providers were built for. Providers keep state
+// (the fixture replay position), so they are only rebuilt when the sources
+// change, not on every settings save.
+let configuredSources = null;
+
+// Selects the providers named in settings.sources
+export function configureDataSources(sources) {
+    const key = JSON.stringify(sources);
+    if (key === configuredSources) return;
+    configuredSources = key;
+    switch (sources.stock) {
+        case STOCK_SOURCES.MIRROR:
+            activeSources.stock = createHttpProvider(STOCK_SOURCES.MIRROR, sources.stockMirrorUrl);
+            break;
+        case STOCK_SOURCES.FIXTURE:
+            activeSources.stock = createFixtureProvider(fixtureBaseUrl());
+            break;
+        default:
+            activeSources.stock = createHttpProvider(STOCK_SOURCES.YATA, YATA_BASE_URL);
+    }
+    switch (sources.price) {
+        case PRICE_SOURCES.MIRROR:
+            activeSources.price = createHttpProvider(PRICE_SOURCES.MIRROR, sources.priceMirrorUrl);
+            break;
+        case PRICE_SOURCES.FIXTURE:
+            activeSources.price = createFixtureProvider(fixtureBaseUrl());
+            break;
+        default:
+            activeSources.price = createHttpProvider(PRICE_SOURCES.TORN, TORN_BASE_URL);
+    }
+}
+
+export function stockSource() {
+    return activeSources.stock;
+}
+
+export function priceSource() {
+    return activeSources.price;
+}
@@ -0,0 +1,73 @@
+// Diagnostics: recent failures as structured events in a ring buffer, and
+// the last successful fetch per source, persisted under the "diagnostics"
+// storage key so the popup can show why data is stale.
+import { logger, redact } from './logger.js';
+
+export const DIAGNOSTIC_SOURCES = {
+    YATA: "yata",
+    TORN: "torn",
+    DATABASE: "database",
+    BACKGROUND: "background"
+};
+
+export const MAX_DIAGNOSTIC_EVENTS = 50;
+
+// Turns an error into a plain event. `code` is a Torn API error code,
+// `yataCode` a YataApiError code and `status` an HTTP status, when known.
+export function toEvent(source, error, context = null, now = Math.floor(Date.now() / 1000)) {
+    const isYata = error && error.name === "YataApiError";
+    return {
+        timestamp: now,
+        source,
+        context,
+        name: (error && error.name) || "Error",
+        // API keys can end up in error messages through request URLs
+        message: redact(error && error.message ? error.message : error),
+        code: !isYata && error && error.code !== undefined ? error.code : null,
+        yataCode: isYata ? error.code : null,
+        status: error && error.status !== undefined ? error.status : null
+    };
+}
+
+// Adds an event, dropping the oldest once the buffer is full
+export function appendEvent(events, event, max = MAX_DIAGNOSTIC_EVENTS) {
+    return [...events, event].slice(-max);
+}
+
+const EMPTY_DIAGNOSTICS = { events: [], lastSuccess: {} };
+
+// Storage updates run one after another so concurrent records are not lost
+let pending = Promise.resolve();
+
+function update(change) {
+    pending = pending
+        .then(async () => {
+            const { diagnostics } = await browser.storage.local.get(["diagnostics"]);
+            await browser.storage.local.set({ diagnostics: change({ ...EMPTY_DIAGNOSTICS, ...(diagnostics || {}) }) });
+        })
+        .catch(err => logger.warn("Failed to save diagnostics:", err));
+    return pending;
+}
+
+// Records a failure; never throws, so it is safe inside catch blocks
+export function recordError(source, error, context = null) {
+    if (typeof browser === 'undefined') return Promise.resolve();
+    const event = toEvent(source, error, context);
+    return update(diagnostics => ({ ...diagnostics, events: appendEvent(diagnostics.events, event) }));
+}
+
+export function recordSuccess(source) {
+    if (typeof browser === 'undefined') return Promise.resolve();
+    const now = Math.floor(Date.now() / 1000);
+    return update(diagnostics => ({ ...diagnostics, lastSuccess: { ...diagnostics.lastSuccess, [source]: now } }));
+}
+
+export async function loadDiagnostics() {
+    await pending;
+    const { diagnostics } = await browser.storage.local.get(["diagnostics"]);
+    return { ...EMPTY_DIAGNOSTICS, ...(diagnostics || {}) };
+}
+
+export function clearDiagnostics() {
+    return update(() => ({ ...EMPTY_DIAGNOSTICS }));
+}
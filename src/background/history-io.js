@@ -0,0 +1,155 @@
+// Conversion and validation for stock_history exports and imports (CSV and JSON)
+
+export const HISTORY_EXPORT_VERSION = 1;
+
+// 'MARKET' rows carry market prices: the price is in quantity, plus the listing details
+export const HISTORY_CSV_COLUMNS = [
+    "timestamp", "country", "item_id", "quantity", "min", "max", "samples", "resolution", "type",
+    "listing_count", "average_price", "method", "source", "created_at"
+];
+
+const NUMERIC_FIELDS = [
+    "timestamp", "item_id", "quantity", "min", "max", "samples", "resolution", "listing_count", "average_price", "created_at"
+];
+const VALID_RESOLUTIONS = [300, 3600];
+
+// Normalizes one record, or returns null if it cannot be stored in stock_history
+export function validateRecord(record) {
+    if (!record || typeof record !== 'object') return null;
+
+    const country = typeof record.country === 'string' ? record.country.trim() : '';
+    if (country !== 'MARKET' && !/^[a-z]{3}$/.test(country)) return null;
+
+    const timestamp = Number(record.timestamp);
+    const item_id = Number(record.item_id);
+    const quantity = Number(record.quantity);
+    if (!Number.isInteger(timestamp) || timestamp <= 0) return null;
+    if (!Number.isInteger(item_id) || item_id <= 0) return null;
+    if (!Number.isFinite(quantity) || quantity < 0) return null;
+
+    const normalized = {
+        country,
+        item_id,
+        quantity,
+        timestamp,
+        created_at: Number(record.created_at) || Date.now()
+    };
+
+    // Aggregate rows produced by history compaction
+    if (record.resolution !== undefined && record.resolution !== '' && record.resolution !== null) {
+        const resolution = Number(record.resolution);
+        if (!VALID_RESOLUTIONS.includes(resolution)) return null;
+        normalized.resolution = resolution;
+        normalized.min = Number.isFinite(Number(record.min)) ? Number(record.min) : quantity;
+        normalized.max = Number.isFinite(Number(record.max)) ? Number(record.max) : quantity;
+        normalized.samples = Number(record.samples) || 1;
+    }
+    if (typeof record.type === 'string' && record.type) {
+        normalized.type = record.type;
+    }
+    if (country === 'MARKET') {
+        ["listing_count", "average_price"].forEach(field => {
+            if (record[field] !== null && record[field] !== '' && Number.isFinite(Number(record[field]))) {
+                normalized[field] = Number(record[field]);
+            }
+        });
+        if (typeof record.method === 'string' && record.method) {
+            normalized.method = record.method;
+        }
+    }
+    // Snapshots record where their quantity came from ("yata" or "shop")
+    if (typeof record.source === 'string' && record.source) {
+        normalized.source = record.source;
+    }
+
+    return normalized;
+}
+
+// Quotes a CSV field when it contains a separator, quote or newline
+function escapeCsvField(value) {
+    if (value === undefined || value === null) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(records) {
+    const lines = [HISTORY_CSV_COLUMNS.join(",")];
+    for (const record of records) {
+        lines.push(HISTORY_CSV_COLUMNS.map(column => escapeCsvField(record[column])).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+// Splits CSV text into rows of fields, honoring quoted fields
+function splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f !== ""));
+}
+
+export function parseCSV(text) {
+    const [header, ...rows] = splitCsv(text);
+    if (!header || !header.includes("timestamp") || !header.includes("country") || !header.includes("item_id")) {
+        throw new Error("CSV is missing the timestamp, country or item_id column");
+    }
+    return rows.map(fields => {
+        const record = {};
+        header.forEach((column, i) => {
+            const value = fields[i];
+            if (value === undefined || value === "") return;
+            record[column] = NUMERIC_FIELDS.includes(column) ? Number(value) : value;
+        });
+        return record;
+    });
+}
+
+export function toJSON(records) {
+    return JSON.stringify({
+        version: HISTORY_EXPORT_VERSION,
+        exported_at: Math.floor(Date.now() / 1000),
+        records
+    }, null, 2);
+}
+
+// Accepts either a full export object or a bare array of records
+export function parseJSON(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data && data.records;
+    if (!Array.isArray(records)) {
+        throw new Error("JSON does not contain a records array");
+    }
+    return records;
+}
@@ -0,0 +1,55 @@
+// Logging utility for consistent error handling. Output is redacted: API keys
+// in request URLs ("key=...") and any value passed to setLogSecrets never
+// reach the console.
+
+const secrets = new Set();
+
+// Values to hide from log output, such as the current Torn API key
+export function setLogSecrets(values) {
+    secrets.clear();
+    for (const value of values) {
+        if (value) secrets.add(value);
+    }
+}
+
+export function redact(text) {
+    let result = String(text).replace(/key=[^&\s"']+/gi, "key=<redacted>");
+    for (const secret of secrets) {
+        result = result.split(secret).join("<redacted>");
+    }
+    return result;
+}
+
+// Arguments are only copied when something in them had to be hidden
+function redactArg(arg) {
+    if (typeof arg === "string") return redact(arg);
+    if (arg instanceof Error) {
+        const message = redact(arg.message);
+        const stack = arg.stack && redact(arg.stack);
+        if (message === arg.message && stack === arg.stack) return arg;
+        const copy = Object.assign(new Error(message), arg);
+        copy.name = arg.name;
+        copy.stack = stack;
+        return copy;
+    }
+    if (arg && typeof arg === "object") {
+        try {
+            const json = JSON.stringify(arg);
+            const clean = redact(json);
+            return clean === json ? arg : JSON.parse(clean);
+        } catch (err) {
+            return arg;
+        }
+    }
+    return arg;
+}
+
+function write(method, prefix, message, args) {
+    console[method](`${prefix} ${redact(message)}`, ...args.map(redactArg));
+}
+
+export const logger = {
+    error: (message, ...args) => write("error", "[TornStockLogger Error]", message, args),
+    warn: (message, ...args) => write("warn", "[TornStockLogger Warning]", message, args),
+    info: (message, ...args) => write("log", "[TornStockLogger Info]", message, args)
+};
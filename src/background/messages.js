@@ -0,0 +1,78 @@
+// Request/response protocol between the background and its pages (popup,
+// content scripts). A request is { type, ...payload }; every request gets
+// exactly one reply, { ok: true, data } or { ok: false, error }, so callers
+// can wait for the real outcome and see why something failed.
+
+export const MESSAGE_TYPES = {
+    // { country, itemId, hours } -> { country, item_id, startTime, endTime, stock, market, restocks },
+    // where stock and market are [{ timestamp, value }] series for the detail chart
+    GET_ITEM_HISTORY: "get-item-history",
+    // { countries? } -> { [country]: { name, items } }
+    GET_PREDICTIONS: "get-predictions",
+    // { countries?, itemIds? } -> { countries, items, pricesFetched }; resolves once the refresh is done
+    REFRESH: "refresh",
+    // {} -> { hasApiKey, keyLocked, lastUpdate, apiBudget, priceWarmup, lastSuccess }
+    GET_STATUS: "get-status",
+    // {} -> { settings, tripSettings, itemFilter }
+    GET_SETTINGS: "get-settings",
+    // {} -> null, once the collector has restarted with the saved key
+    RESTART_COLLECTOR: "restart-collector",
+    // { key } -> { playerId, name, accessLevel, accessType, warning }
+    VALIDATE_KEY: "validate-key",
+    // { key, passphrase? } -> same as VALIDATE_KEY, once the key is saved
+    // (encrypted when a passphrase is given)
+    SAVE_KEY: "save-key",
+    // { passphrase } -> null, once the saved key is decrypted for this session
+    UNLOCK_KEY: "unlock-key",
+    // {} -> null
+    REMOVE_KEY: "remove-key",
+    // { country, items, timestamp } -> { country, saved }
+    SHOP_STOCK: "shop-stock",
+    // { filters, format } -> { content, filename, mimeType, count }
+    EXPORT_HISTORY: "export-history",
+    // { content, format } -> { added, skipped, invalid }
+    IMPORT_HISTORY: "import-history",
+    // {} -> { events, lastSuccess, database, apiBudget }
+    GET_DIAGNOSTICS: "get-diagnostics",
+    // {} -> null
+    CLEAR_DIAGNOSTICS: "clear-diagnostics"
+};
+
+// The only requests content scripts (running on torn.com) may send. The rest
+// can replace the saved key or write history, so they are only accepted from
+// the extension's own pages.
+export const CONTENT_SCRIPT_MESSAGE_TYPES = [MESSAGE_TYPES.GET_PREDICTIONS, MESSAGE_TYPES.SHOP_STOCK];
+
+// Whether a message came from one of the extension's pages (the popup) rather
+// than a content script in a tab. `extensionUrl` is runtime.getURL("").
+export function isExtensionPage(sender, extensionUrl) {
+    return !!sender && !sender.tab && typeof sender.url === "string" && sender.url.startsWith(extensionUrl);
+}
+
+// Errors cross the message boundary as plain objects
+export function serializeError(error) {
+    return {
+        name: (error && error.name) || "Error",
+        message: error && error.message ? error.message : String(error),
+        code: error && error.code !== undefined ? error.code : null
+    };
+}
+
+// Runs the handler for a request and wraps its outcome in a reply. Returns
+// undefined for messages that are not requests, so other listeners can answer.
+export function dispatchMessage(handlers, message, sender, extensionUrl) {
+    const handler = message && handlers[message.type];
+    if (!handler) return undefined;
+    if (!CONTENT_SCRIPT_MESSAGE_TYPES.includes(message.type) && !isExtensionPage(sender, extensionUrl)) {
+        return Promise.resolve({
+            ok: false,
+            error: { name: "PermissionError", message: `"${message.type}" is only accepted from extension pages`, code: null }
+        });
+    }
+    return Promise.resolve()
+        .then(() => handler(message))
+        .then(
+            data => ({ ok: true, data: data === undefined ? null : data }),
+            error => ({ ok: false, error: serializeError(error) })
+        );
+}
@@ -0,0 +1,113 @@
+// Restock and low-stock notifications. Users subscribe to a country/item with a
+// trigger; subscriptions are checked against fresh stock data after every fetch.
+import { logger } from './logger.js';
+
+export const NOTIFICATION_TRIGGERS = {
+    RESTOCKED: "restocked",
+    QUANTITY_ABOVE: "quantity-above",
+    RESTOCK_SOON: "restock-soon",
+    PROFIT_ABOVE: "profit-above"
+};
+
+// A restock older than this (seconds) is history, not news
+export const RECENT_RESTOCK_WINDOW = 10 * 60;
+
+// Returns a key identifying the event a subscription should fire for, or null
+// when its condition is not met. A subscription fires once per distinct key,
+// so the same event is not repeated on every periodic fetch.
+export function evaluateSubscription(subscription, item, now = Math.floor(Date.now() / 1000)) {
+    if (!item) return null;
+    const threshold = Number(subscription.threshold) || 0;
+    const restock = item.restock || {};
+
+    switch (subscription.trigger) {
+        case NOTIFICATION_TRIGGERS.RESTOCKED:
+            return restock.lastRestock && now - restock.lastRestock <= RECENT_RESTOCK_WINDOW
+                ? `restocked:${restock.lastRestock}`
+                : null;
+        case NOTIFICATION_TRIGGERS.QUANTITY_ABOVE:
+            // Fires again only after the quantity has dropped back below the threshold
+            return item.quantity > threshold ? "quantity-above" : null;
+        case NOTIFICATION_TRIGGERS.RESTOCK_SOON:
+            // One alert per restock cycle, even as the forecast shifts slightly
+            return restock.nextRestock && !restock.overdue && restock.nextRestock - now <= threshold * 60
+                ? `restock-soon:${restock.lastRestock}`
+                : null;
+        case NOTIFICATION_TRIGGERS.PROFIT_ABOVE: {
+            const profit = item.trip_profit_per_minute ?? item.profit_per_minute ?? 0;
+            return profit > threshold ? "profit-above" : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// Builds the notification text for a subscription that fired
+function describeEvent(subscription, item, now) {
+    const title = `${item.name} (${item.country.toUpperCase()})`;
+    switch (subscription.trigger) {
+        case NOTIFICATION_TRIGGERS.RESTOCKED:
+            return { title, message: `Restocked: ${item.quantity.toLocaleString()} in stock` };
+        case NOTIFICATION_TRIGGERS.QUANTITY_ABOVE:
+            return { title, message: `${item.quantity.toLocaleString()} in stock (above ${subscription.threshold})` };
+        case NOTIFICATION_TRIGGERS.RESTOCK_SOON: {
+            const minutes = Math.max(0, Math.round((item.restock.nextRestock - now) / 60));
+            return { title, message: `Restock expected in ~${minutes} min` };
+        }
+        case NOTIFICATION_TRIGGERS.PROFIT_ABOVE: {
+            const profit = Math.round(item.trip_profit_per_minute ?? item.profit_per_minute ?? 0);
+            return { title, message: `Profit $${profit.toLocaleString()}/min (above $${subscription.threshold})` };
+        }
+        default:
+            return { title, message: "" };
+    }
+}
+
+// Checks every subscription against the latest stock data and shows a
+// notification for each new event
+export async function checkNotifications(stockData) {
+    if (typeof browser === 'undefined' || !browser.notifications) return;
+
+    const { notificationSubscriptions, notificationState } =
+        await browser.storage.local.get(["notificationSubscriptions", "notificationState"]);
+    const subscriptions = notificationSubscriptions || [];
+    if (subscriptions.length === 0) return;
+
+    const state = { ...(notificationState || {}) };
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const subscription of subscriptions) {
+        const items = stockData[subscription.country] || [];
+        const item = items.find(i => Number(i.id) === Number(subscription.itemId));
+        // Skip items missing from this fetch (e.g. a partial manual refresh) without resetting state
+        if (!item) continue;
+
+        const key = evaluateSubscription(subscription, item, now);
+        if (key === null) {
+            delete state[subscription.id];
+            continue;
+        }
+        if (state[subscription.id] === key) continue;
+
+        state[subscription.id] = key;
+        const { title, message } = describeEvent(subscription, item, now);
+        try {
+            await browser.notifications.create(`torn-stock-${subscription.id}-${now}`, {
+                type: "basic",
+                iconUrl: browser.runtime.getURL("assets/icons/icon64.png"),
+                title,
+                message
+            });
+        } catch (err) {
+            logger.warn(`Failed to show notification for ${title}:`, err);
+        }
+    }
+
+    // Drop state for subscriptions that were removed
+    const ids = new Set(subscriptions.map(s => s.id));
+    Object.keys(state).forEach(id => {
+        if (!ids.has(id)) delete state[id];
+    });
+
+    await browser.storage.local.set({ notificationState: state });
+}
@@ -0,0 +1,114 @@
+// Shared limiter for Torn API calls. Torn allows each key 100 calls per
+// minute, so every call takes a token from a bucket that refills at that
+// rate. Calls wait in a priority queue while the bucket is empty, and a
+// "too many requests" error empties it and pauses all calls, for twice as
+// long on each consecutive error.
+
+// Lower numbers go first
+export const CALL_PRIORITIES = {
+    HIGH: 0, // the user is waiting: manual refresh, key validation
+    NORMAL: 1, // scheduled stock updates
+    LOW: 2 // background price warming
+};
+
+export const TORN_CALLS_PER_MINUTE = 100;
+
+const BACKOFF_INITIAL = 10 * 1000;
+const BACKOFF_MAX = 2 * 60 * 1000;
+
+// `now` and `sleep` can be replaced to drive the limiter from a fake clock
+export function createTokenBucket({
+    capacity = TORN_CALLS_PER_MINUTE,
+    refillMs = 60 * 1000,
+    minDelay = 0,
+    now = () => Date.now(),
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+    const state = {
+        tokens: capacity,
+        refilledAt: now(),
+        lastCall: -Infinity,
+        pausedUntil: 0,
+        backoff: 0,
+        queue: [], // { priority, resolve }, ordered by priority then arrival
+        draining: false
+    };
+
+    function refill() {
+        const time = now();
+        state.tokens = Math.min(capacity, state.tokens + (time - state.refilledAt) * capacity / refillMs);
+        state.refilledAt = time;
+    }
+
+    // Milliseconds until the next call may go out
+    function waitTime() {
+        refill();
+        const time = now();
+        const forToken = state.tokens >= 1 ? 0 : (1 - state.tokens) * refillMs / capacity;
+        return Math.max(0, forToken, state.pausedUntil - time, state.lastCall + minDelay - time);
+    }
+
+    // Lets queued calls through one at a time; only one drain runs at once
+    async function drain() {
+        if (state.draining) return;
+        state.draining = true;
+        try {
+            while (state.queue.length) {
+                const wait = waitTime();
+                if (wait > 0) {
+                    await sleep(wait);
+                    continue;
+                }
+                state.tokens -= 1;
+                state.lastCall = now();
+                state.queue.shift().resolve();
+            }
+        } finally {
+            state.draining = false;
+        }
+    }
+
+    return {
+        // Resolves when a call with this priority may be made
+        acquire(priority = CALL_PRIORITIES.NORMAL) {
+            return new Promise(resolve => {
+                const index = state.queue.findIndex(waiting => waiting.priority > priority);
+                const entry = { priority, resolve };
+                if (index === -1) {
+                    state.queue.push(entry);
+                } else {
+                    state.queue.splice(index, 0, entry);
+                }
+                drain();
+            });
+        },
+
+        // Torn answered "too many requests": stop everything for a while
+        backOff() {
+            refill();
+            state.backoff = Math.min(BACKOFF_MAX, state.backoff ? state.backoff * 2 : BACKOFF_INITIAL);
+            state.pausedUntil = now() + state.backoff;
+            state.tokens = 0;
+        },
+
+        // A call went through, so the next rate-limit error starts a fresh backoff
+        recordSuccess() {
+            state.backoff = 0;
+        },
+
+        setMinDelay(ms) {
+            minDelay = ms;
+        },
+
+        status() {
+            refill();
+            const time = now();
+            return {
+                remaining: Math.floor(state.tokens),
+                capacity,
+                queued: state.queue.length,
+                pausedUntil: state.pausedUntil > time ? state.pausedUntil : null
+            };
+        }
+    };
+}
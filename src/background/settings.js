@@ -0,0 +1,199 @@
+// Versioned user settings, edited on the options page and applied live by the
+// background. Stored as one object under the "settings" key.
+
+export const SETTINGS_VERSION = 3;
+
+// What the toolbar badge shows
+export const BADGE_MODES = {
+    BEST_PROFIT: "best-profit",
+    RESTOCKED: "restocked",
+    OFF: "off"
+};
+
+// Where stock quantities and market prices are fetched from; see data-sources.js
+export const STOCK_SOURCES = {
+    YATA: "yata",
+    MIRROR: "mirror",
+    FIXTURE: "fixture"
+};
+
+export const PRICE_SOURCES = {
+    TORN: "torn",
+    MIRROR: "mirror",
+    FIXTURE: "fixture"
+};
+
+// How a sell price is derived from the market listings
+export const PRICING_STRATEGIES = {
+    TOP_LISTINGS: "top-listings",
+    LOWEST: "lowest",
+    DEPTH_WEIGHTED: "depth-weighted",
+    MEDIAN: "median",
+    TORN_AVERAGE: "torn-average"
+};
+
+export const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    collection: {
+        fetchIntervalMinutes: 0.5, // YATA stock poll
+        apiMinDelay: 1100, // ms between Torn API calls
+        staleMinutes: 30 // countries not updated by YATA for longer are greyed out
+    },
+    market: {
+        cacheMinutes: 5,
+        strategy: PRICING_STRATEGIES.TOP_LISTINGS,
+        includeBazaar: false,
+        listingTolerance: 10, // % around Torn's average price (top-listings strategy)
+        listingSampleSize: 5 // listings averaged (top-listings strategy)
+    },
+    badge: {
+        mode: BADGE_MODES.BEST_PROFIT
+    },
+    sources: {
+        stock: STOCK_SOURCES.YATA,
+        price: PRICE_SOURCES.TORN,
+        stockMirrorUrl: "", // base URL serving YATA's paths
+        priceMirrorUrl: "" // base URL serving the Torn API's paths
+    }
+};
+
+// [min, max] for each numeric setting
+export const SETTINGS_LIMITS = {
+    collection: {
+        fetchIntervalMinutes: [0.5, 60],
+        apiMinDelay: [700, 10000], // Torn allows 100 calls per minute
+        staleMinutes: [5, 1440]
+    },
+    market: {
+        cacheMinutes: [1, 1440],
+        listingTolerance: [1, 100],
+        listingSampleSize: [1, 100]
+    }
+};
+
+// Each step upgrades settings from the previous version. `legacy` holds the
+// storage keys used before the settings object existed.
+const MIGRATIONS = {
+    // Pricing had its own storage key before settings were versioned
+    1: (settings, legacy) => ({
+        ...settings,
+        market: { ...(legacy.pricingSettings || {}), ...(settings.market || {}) }
+    }),
+    // The badge section was added; defaults are filled in by normalizeSettings
+    2: (settings) => settings,
+    // The data sources section was added
+    3: (settings) => settings
+};
+
+// Storage keys folded into the settings object by a migration
+export const LEGACY_SETTINGS_KEYS = ["pricingSettings"];
+
+const SETTINGS_SECTIONS = ["collection", "market", "badge", "sources"];
+
+function isHttpUrl(value) {
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Lists what is wrong with a settings object, for the options page to show
+export function validateSettings(settings) {
+    const errors = [];
+    for (const [section, limits] of Object.entries(SETTINGS_LIMITS)) {
+        for (const [name, [min, max]] of Object.entries(limits)) {
+            const value = settings?.[section]?.[name];
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${section}.${name} must be a number`);
+            } else if (value < min || value > max) {
+                errors.push(`${section}.${name} must be between ${min} and ${max}`);
+            }
+        }
+    }
+    if (!Object.values(PRICING_STRATEGIES).includes(settings?.market?.strategy)) {
+        errors.push(`market.strategy must be one of ${Object.values(PRICING_STRATEGIES).join(", ")}`);
+    }
+    if (!Object.values(BADGE_MODES).includes(settings?.badge?.mode)) {
+        errors.push(`badge.mode must be one of ${Object.values(BADGE_MODES).join(", ")}`);
+    }
+    if (!Object.values(STOCK_SOURCES).includes(settings?.sources?.stock)) {
+        errors.push(`sources.stock must be one of ${Object.values(STOCK_SOURCES).join(", ")}`);
+    } else if (settings.sources.stock === STOCK_SOURCES.MIRROR && !isHttpUrl(settings.sources.stockMirrorUrl)) {
+        errors.push("sources.stockMirrorUrl must be an http(s) URL");
+    }
+    if (!Object.values(PRICE_SOURCES).includes(settings?.sources?.price)) {
+        errors.push(`sources.price must be one of ${Object.values(PRICE_SOURCES).join(", ")}`);
+    } else if (settings.sources.price === PRICE_SOURCES.MIRROR && !isHttpUrl(settings.sources.priceMirrorUrl)) {
+        errors.push("sources.priceMirrorUrl must be an http(s) URL");
+    }
+    return errors;
+}
+
+// Fills in defaults and clamps values into range, so the background can use
+// whatever is stored without further checks
+export function normalizeSettings(settings) {
+    const normalized = { version: SETTINGS_VERSION };
+    for (const section of SETTINGS_SECTIONS) {
+        normalized[section] = { ...DEFAULT_SETTINGS[section] };
+        const limits = SETTINGS_LIMITS[section] || {};
+        for (const [name, fallback] of Object.entries(DEFAULT_SETTINGS[section])) {
+            const value = settings?.[section]?.[name];
+            if (limits[name]) {
+                const number = Number(value);
+                const [min, max] = limits[name];
+                normalized[section][name] = value !== null && value !== '' && Number.isFinite(number)
+                    ? Math.min(max, Math.max(min, number))
+                    : fallback;
+            } else if (typeof value === typeof fallback) {
+                normalized[section][name] = value;
+            }
+        }
+    }
+    if (!Object.values(PRICING_STRATEGIES).includes(normalized.market.strategy)) {
+        normalized.market.strategy = DEFAULT_SETTINGS.market.strategy;
+    }
+    if (!Object.values(BADGE_MODES).includes(normalized.badge.mode)) {
+        normalized.badge.mode = DEFAULT_SETTINGS.badge.mode;
+    }
+    // A mirror without a usable URL falls back to the real service
+    const { sources } = normalized;
+    if (!Object.values(STOCK_SOURCES).includes(sources.stock)
+        || (sources.stock === STOCK_SOURCES.MIRROR && !isHttpUrl(sources.stockMirrorUrl))) {
+        sources.stock = DEFAULT_SETTINGS.sources.stock;
+    }
+    if (!Object.values(PRICE_SOURCES).includes(sources.price)
+        || (sources.price === PRICE_SOURCES.MIRROR && !isHttpUrl(sources.priceMirrorUrl))) {
+        sources.price = DEFAULT_SETTINGS.sources.price;
+    }
+    return normalized;
+}
+
+// Upgrades stored settings (or none) to the current version
+export function migrateSettings(stored, legacy = {}) {
+    let settings = stored && typeof stored === 'object' ? { ...stored } : {};
+    let version = Number(settings.version) || 0;
+    while (version < SETTINGS_VERSION) {
+        version++;
+        settings = { ...MIGRATIONS[version](settings, legacy), version };
+    }
+    return normalizeSettings(settings);
+}
+
+// Reads settings from storage, persisting the result of any migration
+export async function loadSettings() {
+    const data = await browser.storage.local.get(["settings", ...LEGACY_SETTINGS_KEYS]);
+    if (data.settings && data.settings.version === SETTINGS_VERSION) {
+        return normalizeSettings(data.settings);
+    }
+    const settings = migrateSettings(data.settings, data);
+    await browser.storage.local.set({ settings });
+    await browser.storage.local.remove(LEGACY_SETTINGS_KEYS);
+    return settings;
+}
+
+export async function saveSettings(settings) {
+    const normalized = normalizeSettings(settings);
+    await browser.storage.local.set({ settings: normalized });
+    return normalized;
+}
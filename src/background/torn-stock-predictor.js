@@ -1,41 +1,45 @@
 // Global variables to store API key, fetch interval, cached item types, and manual refresh flag
 import { initializeBrowserListeners } from './browser-init.js';
+import { logger, setLogSecrets } from './logger.js';
+import { checkNotifications } from './notifications.js';
+import { toCSV, toJSON, parseCSV, parseJSON, validateRecord } from './history-io.js';
+import { DEFAULT_SETTINGS, PRICING_STRATEGIES, normalizeSettings, loadSettings } from './settings.js';
+import { updateBadge, refreshBadge, setBadgeMode, setBadgeError } from './badge.js';
+import { configureDataSources, stockSource, priceSource } from './data-sources.js';
+import { createTokenBucket, CALL_PRIORITIES } from './rate-limiter.js';
+import { DIAGNOSTIC_SOURCES, recordError, recordSuccess, loadDiagnostics, clearDiagnostics } from './diagnostics.js';
+import { loadApiKey, saveApiKey, unlockApiKey, clearApiKey, describeKeyAccess } from './api-key.js';
 
 let apiKey = null;
 let fetchInterval = null;
 let itemTypeCache = {};
 let manualRefreshMode = false;
+// User settings from the options page; see settings.js
+let currentSettings = normalizeSettings(DEFAULT_SETTINGS);
 
-// Rate limiting configuration
+// Item types and specific item IDs to track; anything else is skipped
+const DEFAULT_ITEM_FILTER = {
+    types: ["Plushie", "Flower"],
+    itemIds: []
+};
+let itemFilter = { ...DEFAULT_ITEM_FILTER };
+
+// Rate limiting for YATA; Torn API calls go through tornLimiter
 const rateLimiter = {
-    lastCall: 0,
-    minDelay: 1100, // Minimum delay between API calls in ms
     yataLastCall: 0,
     yataMinDelay: 30000, // YATA API has a 30s cache
-    async waitForNextCall(isYata = false) {
-        const now = Date.now();
-        if (isYata) {
-            const timeSinceLastYata = now - this.yataLastCall;
-            if (timeSinceLastYata < this.yataMinDelay) {
-                await new Promise(resolve => setTimeout(resolve, this.yataMinDelay - timeSinceLastYata));
-            }
-            this.yataLastCall = Date.now();
-        } else {
-            const timeSinceLastCall = now - this.lastCall;
-            if (timeSinceLastCall < this.minDelay) {
-                await new Promise(resolve => setTimeout(resolve, this.minDelay - timeSinceLastCall));
-            }
-            this.lastCall = Date.now();
+    async waitForNextCall() {
+        const timeSinceLastYata = Date.now() - this.yataLastCall;
+        if (timeSinceLastYata < this.yataMinDelay) {
+            await new Promise(resolve => setTimeout(resolve, this.yataMinDelay - timeSinceLastYata));
         }
+        this.yataLastCall = Date.now();
     }
 };
 
-// Logging utility for consistent error handling
-const logger = {
-    error: (message, ...args) => console.error(`[TornStockLogger Error] ${message}`, ...args),
-    warn: (message, ...args) => console.warn(`[TornStockLogger Warning] ${message}`, ...args),
-    info: (message, ...args) => console.log(`[TornStockLogger Info] ${message}`, ...args)
-};
+// Every Torn API call made with the key, including the popup's key check,
+// shares this budget; see rate-limiter.js
+const tornLimiter = createTokenBucket({ minDelay: DEFAULT_SETTINGS.collection.apiMinDelay });
 
 // Data validation utilities
 const validator = {
@@ -101,7 +105,7 @@ const apiValidator = {
         }
 
         if (data.error) {
-            throw new Error(`Torn API error: ${data.error.error}`);
+            throw new TornApiError(data.error);
         }
 
         if (!data.itemmarket || typeof data.itemmarket !== 'object') {
@@ -133,6 +137,31 @@ const COUNTRY_CODES = {
     sou: "South Africa"
 };
 
+// Destinations as Torn names them on the abroad shop page, lower-cased
+const DESTINATION_NAMES = {
+    "mexico": "mex",
+    "cayman islands": "cay",
+    "canada": "can",
+    "hawaii": "haw",
+    "united kingdom": "uni",
+    "argentina": "arg",
+    "switzerland": "swi",
+    "japan": "jap",
+    "china": "chi",
+    "united arab emirates": "uae",
+    "uae": "uae",
+    "south africa": "sou"
+};
+
+// Country code for a code or a displayed destination name (the shop page
+// heading may add text around it), or null when it names no destination
+function countryCodeFromName(name) {
+    const text = String(name || "").trim().toLowerCase();
+    if (Object.hasOwn(COUNTRY_CODES, text)) return text;
+    const match = Object.keys(DESTINATION_NAMES).find(destination => text.includes(destination));
+    return match ? DESTINATION_NAMES[match] : null;
+}
+
 // Hardcoded flight times in minutes for each country
 const FLIGHT_TIMES = {
     mex: 36,
@@ -148,6 +177,74 @@ const FLIGHT_TIMES = {
     sou: 416
 };
 
+// Travel methods scale the standard flight times; private flights need no ticket
+const TRAVEL_METHODS = {
+    standard: { label: "Standard", multiplier: 1, ticketMultiplier: 1 },
+    airstrip: { label: "Airstrip", multiplier: 0.7, ticketMultiplier: 0 },
+    wlt: { label: "WLT benefit", multiplier: 0.5, ticketMultiplier: 0 },
+    business: { label: "Business class", multiplier: 0.3, ticketMultiplier: 10 }
+};
+
+// Standard-class ticket prices for each country
+const TICKET_COSTS = {
+    mex: 6500,
+    cay: 10000,
+    can: 9000,
+    haw: 11000,
+    uni: 18000,
+    arg: 21000,
+    swi: 27000,
+    jap: 32000,
+    chi: 35000,
+    uae: 32000,
+    sou: 40000
+};
+
+// Carry capacity: every player carries the base amount, plus any suitcase,
+// private island airstrip and job perk bonuses
+const CARRY_CAPACITY = {
+    base: 5,
+    suitcase: { none: 0, small: 2, medium: 3, large: 4 },
+    airstrip: 10
+};
+
+const DEFAULT_TRIP_SETTINGS = {
+    travelMethod: "standard",
+    suitcase: "none",
+    airstrip: false,
+    jobPerk: 0
+};
+
+// Restock detection thresholds: a jump must be at least this many units
+// and this fraction of the observed maximum quantity
+const RESTOCK_MIN_JUMP = 10;
+const RESTOCK_MIN_JUMP_RATIO = 0.1;
+// Jumps closer together than this (seconds) are merged into a single restock
+const RESTOCK_MERGE_WINDOW = 5 * 60;
+
+// Where a stock snapshot came from. Shop snapshots are the exact quantities a
+// player saw in the abroad shop, so they are trusted over YATA's relayed numbers.
+const SNAPSHOT_SOURCES = {
+    YATA: "yata",
+    SHOP: "shop"
+};
+// YATA snapshots this close (seconds) to a shop snapshot are left out of analysis
+const SHOP_SNAPSHOT_WINDOW = 5 * 60;
+
+// Depletion rates are split into time-of-day periods of this many hours (UTC, Torn time)
+const DEPLETION_PERIOD_HOURS = 6;
+// Snapshot gaps longer than this (seconds) are collection outages, not sales data
+const DEPLETION_MAX_GAP = 30 * 60;
+
+// Price trend analysis looks back this far and averages over the shorter window
+const PRICE_HISTORY_DAYS = 7;
+const PRICE_MOVING_AVERAGE_HOURS = 24;
+// A price is unusually low when it is this many standard deviations under the
+// historical mean and at least PRICE_LOW_MIN_DROP below the moving average
+const PRICE_LOW_STDDEVS = 2;
+const PRICE_LOW_MIN_DROP = 0.05;
+const PRICE_TREND_MIN_SAMPLES = 5;
+
 // Enhanced stock analysis utilities
 const stockAnalyzer = {
     calculateTrend(historicalData, timeframeHours = 24) {
@@ -166,8 +263,150 @@ const stockAnalyzer = {
         
         return changes.reduce((a, b) => a + b, 0) / changes.length;
     },
+
+    // Summarizes market price rows ({ timestamp, price }, oldest first): change
+    // over 24h and 7d, volatility (coefficient of variation), and the current
+    // price against its moving average
+    analyzePriceTrend(prices, now = Math.floor(Date.now() / 1000)) {
+        const history = (prices || []).filter(p => p.price > 0 && p.timestamp <= now);
+        if (history.length < 2) return null;
+
+        const current = history[history.length - 1].price;
+        // Percent change from the last price recorded before the window started
+        const changeSince = (seconds) => {
+            const cutoff = now - seconds;
+            const before = history.filter(p => p.timestamp <= cutoff);
+            if (!before.length) return null;
+            const reference = before[before.length - 1].price;
+            return ((current - reference) / reference) * 100;
+        };
+
+        const values = history.map(p => p.price);
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+        const recent = history.filter(p => p.timestamp >= now - PRICE_MOVING_AVERAGE_HOURS * 60 * 60);
+        const movingAverage = recent.reduce((sum, p) => sum + p.price, 0) / recent.length;
+        const vsMovingAverage = ((current - movingAverage) / movingAverage) * 100;
+
+        return {
+            current,
+            change24h: changeSince(24 * 60 * 60),
+            change7d: changeSince(PRICE_HISTORY_DAYS * 24 * 60 * 60),
+            volatility: mean ? (stdDev / mean) * 100 : 0,
+            movingAverage: Math.round(movingAverage),
+            vsMovingAverage,
+            aboveAverage: current > movingAverage,
+            unusuallyLow: history.length >= PRICE_TREND_MIN_SAMPLES
+                && stdDev > 0
+                && current < mean - PRICE_LOW_STDDEVS * stdDev
+                && current < movingAverage * (1 - PRICE_LOW_MIN_DROP),
+            samples: history.length
+        };
+    },
     
-    predictRestock(historicalData) {
+    // Drops YATA snapshots near an exact shop snapshot, so a stale YATA number
+    // does not read as a sale or a restock next to the live one
+    preferShopSnapshots(historicalData) {
+        const shopTimes = (historicalData || [])
+            .filter(d => d.source === SNAPSHOT_SOURCES.SHOP)
+            .map(d => d.timestamp);
+        if (shopTimes.length === 0) return historicalData || [];
+        return historicalData.filter(d => d.source === SNAPSHOT_SOURCES.SHOP
+            || !shopTimes.some(t => Math.abs(d.timestamp - t) <= SHOP_SNAPSHOT_WINDOW));
+    },
+
+    // Finds restock events: a jump in quantity between two consecutive snapshots
+    // that is large relative to the item's observed maximum
+    detectRestocks(historicalData) {
+        if (!historicalData || historicalData.length < 2) return [];
+
+        const maxQuantity = Math.max(...historicalData.map(d => d.quantity));
+        const minJump = Math.max(RESTOCK_MIN_JUMP, maxQuantity * RESTOCK_MIN_JUMP_RATIO);
+        const events = [];
+
+        for (let i = 1; i < historicalData.length; i++) {
+            const prev = historicalData[i - 1];
+            const curr = historicalData[i];
+            const delta = curr.quantity - prev.quantity;
+            if (delta < minJump) continue;
+
+            // A restock split across consecutive snapshots is still one event
+            const last = events[events.length - 1];
+            if (last && curr.timestamp - last.timestamp <= RESTOCK_MERGE_WINDOW) {
+                last.size += delta;
+                last.quantity = curr.quantity;
+                continue;
+            }
+
+            events.push({
+                timestamp: curr.timestamp,
+                previousQuantity: prev.quantity,
+                quantity: curr.quantity,
+                size: delta
+            });
+        }
+
+        return events;
+    },
+
+    // Returns the time-of-day period index for a unix timestamp (seconds)
+    depletionPeriod(timestamp) {
+        return Math.floor(new Date(timestamp * 1000).getUTCHours() / DEPLETION_PERIOD_HOURS);
+    },
+
+    // Estimates units sold per minute, overall and per time-of-day period.
+    // Only falling stretches count: restocks and sold-out periods are skipped.
+    estimateDepletionRate(historicalData) {
+        const periods = 24 / DEPLETION_PERIOD_HOURS;
+        const sold = new Array(periods).fill(0);
+        const minutes = new Array(periods).fill(0);
+
+        for (let i = 1; i < (historicalData || []).length; i++) {
+            const prev = historicalData[i - 1];
+            const curr = historicalData[i];
+            const gap = curr.timestamp - prev.timestamp;
+            if (gap <= 0 || gap > DEPLETION_MAX_GAP) continue;
+            if (prev.quantity <= 0 || curr.quantity > prev.quantity) continue;
+
+            const period = this.depletionPeriod(prev.timestamp);
+            sold[period] += prev.quantity - curr.quantity;
+            minutes[period] += gap / 60;
+        }
+
+        const totalMinutes = minutes.reduce((a, b) => a + b, 0);
+        const totalSold = sold.reduce((a, b) => a + b, 0);
+        return {
+            overall: totalMinutes > 0 ? totalSold / totalMinutes : 0,
+            byPeriod: sold.map((units, i) => minutes[i] > 0 ? units / minutes[i] : null),
+            sampleMinutes: Math.round(totalMinutes)
+        };
+    },
+
+    // Projects the quantity left after `flightMinutes`, walking minute by minute
+    // through the depletion rate of each time-of-day period. A restock forecast
+    // to land during the flight tops the stock back up by its average size.
+    projectQuantity(currentQuantity, depletion, flightMinutes, departure = Math.floor(Date.now() / 1000), restock = null) {
+        let quantity = validator.sanitizeNumber(currentQuantity);
+        if (!depletion) return quantity;
+
+        const arrival = departure + flightMinutes * 60;
+        const restockDuringFlight = restock && restock.nextRestock && restock.avgSize &&
+            restock.nextRestock > departure && restock.nextRestock <= arrival;
+
+        for (let minute = 0; minute < flightMinutes; minute++) {
+            const t = departure + minute * 60;
+            if (restockDuringFlight && t <= restock.nextRestock && restock.nextRestock < t + 60) {
+                quantity += restock.avgSize;
+            }
+            const rate = depletion.byPeriod[this.depletionPeriod(t)] ?? depletion.overall;
+            quantity = Math.max(0, quantity - rate);
+        }
+
+        return Math.round(quantity);
+    },
+
+    predictRestock(historicalData, now = Math.floor(Date.now() / 1000)) {
         if (!historicalData || historicalData.length < 2) return null;
         
         const sorted = [...historicalData].sort((a, b) => a.quantity - b.quantity);
@@ -176,23 +415,128 @@ const stockAnalyzer = {
         
         // If current quantity is near minimum, might indicate upcoming restock
         const latestQuantity = historicalData[historicalData.length - 1].quantity;
-        const nearMin = (latestQuantity - minQuantity) / (maxQuantity - minQuantity) < 0.2;
+        const range = maxQuantity - minQuantity;
+        const nearMin = range > 0 && (latestQuantity - minQuantity) / range < 0.2;
+
+        const restocks = this.detectRestocks(historicalData);
+        const lastRestock = restocks.length ? restocks[restocks.length - 1].timestamp : null;
+        const avgSize = restocks.length
+            ? Math.round(restocks.reduce((a, b) => a + b.size, 0) / restocks.length)
+            : null;
+
+        // Learn the restock interval from the gaps between detected events
+        const intervals = [];
+        for (let i = 1; i < restocks.length; i++) {
+            intervals.push(restocks[i].timestamp - restocks[i - 1].timestamp);
+        }
+
+        let nextRestock = null;
+        let earliest = null;
+        let latest = null;
+        let avgInterval = null;
+        let confidence = null;
+        if (intervals.length > 0) {
+            avgInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+            const variance = intervals.reduce((a, b) => a + Math.pow(b - avgInterval, 2), 0) / intervals.length;
+            const stdDev = Math.sqrt(variance);
+
+            nextRestock = Math.round(lastRestock + avgInterval);
+            earliest = Math.round(nextRestock - stdDev);
+            latest = Math.round(nextRestock + stdDev);
+
+            if (intervals.length >= 3 && stdDev / avgInterval < 0.25) {
+                confidence = 'high';
+            } else if (intervals.length >= 2) {
+                confidence = 'medium';
+            } else {
+                confidence = 'low';
+            }
+        }
         
         return {
             minQuantity,
             maxQuantity,
             nearMin,
-            avgQuantity: sorted.reduce((a, b) => a + b.quantity, 0) / sorted.length
+            avgQuantity: sorted.reduce((a, b) => a + b.quantity, 0) / sorted.length,
+            restockCount: restocks.length,
+            lastRestock,
+            avgSize,
+            avgInterval: avgInterval !== null ? Math.round(avgInterval) : null,
+            nextRestock,
+            earliest,
+            latest,
+            confidence,
+            overdue: nextRestock !== null && now > latest
         };
     }
 };
 
-// Opens (or creates) the IndexedDB database 'TornStockLogger' version 2
+// Land this long (seconds) after a predicted restock so the stock is there
+const PLANNER_LANDING_BUFFER = 2 * 60;
+// How far ahead (hours) the departure planner looks, and how many opportunities it keeps
+const PLANNER_HORIZON_HOURS = 4;
+const PLANNER_MAX_RESULTS = 20;
+
+// Plans departures that land just after upcoming predicted restocks
+const departurePlanner = {
+    // Ranks upcoming opportunities across all countries by expected profit per trip
+    plan(stockData, now = Math.floor(Date.now() / 1000), horizonHours = PLANNER_HORIZON_HOURS) {
+        const horizon = now + horizonHours * 60 * 60;
+        const opportunities = [];
+
+        for (const items of Object.values(stockData || {})) {
+            for (const item of items) {
+                const restock = item.restock;
+                if (!restock || !restock.nextRestock || !restock.avgInterval || !restock.avgSize) continue;
+
+                const flightSeconds = item.flight_time * 60;
+                // Step through the forecast restock cycles within the horizon
+                for (let restockAt = restock.nextRestock; restockAt - flightSeconds <= horizon; restockAt += restock.avgInterval) {
+                    const arrival = restockAt + PLANNER_LANDING_BUFFER;
+                    const departure = arrival - flightSeconds;
+                    if (departure < now) continue;
+
+                    const trip = calculateTripProfit(
+                        item.cost,
+                        item.market_price,
+                        item.flight_time,
+                        item.carry_capacity || calculateCarryCapacity(),
+                        restock.avgSize,
+                        item.ticket_cost || 0
+                    );
+                    if (trip.profitPerTrip <= 0) break;
+
+                    opportunities.push({
+                        country: item.country,
+                        item_id: item.id,
+                        name: item.name,
+                        departure,
+                        arrival,
+                        restock_at: restockAt,
+                        confidence: restock.confidence,
+                        expected_units: trip.units,
+                        expected_profit: trip.profitPerTrip,
+                        profit_per_minute: trip.profitPerMinute
+                    });
+                    // Only the next catchable restock of each item is worth planning around
+                    break;
+                }
+            }
+        }
+
+        return opportunities
+            .sort((a, b) => b.expected_profit - a.expected_profit || a.departure - b.departure)
+            .slice(0, PLANNER_MAX_RESULTS);
+    }
+};
+
+// Opens (or creates) the IndexedDB database 'TornStockLogger' version 3
 async function openDatabase() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open("TornStockLogger", 2); // Increment version for schema update
+        const request = indexedDB.open("TornStockLogger", 3); // Increment version for schema update
         request.onerror = (event) => {
             logger.error("Database error:", event.target.error);
+            recordError(DIAGNOSTIC_SOURCES.DATABASE, event.target.error || "Failed to open IndexedDB", "openDatabase");
             reject("Failed to open IndexedDB");
         };
         request.onsuccess = () => {
@@ -201,6 +545,7 @@ async function openDatabase() {
         };
         request.onupgradeneeded = e => {
             const db = e.target.result;
+            const tx = e.target.transaction;
             // Only create or upgrade the object store if it does not exist
             // or if a breaking schema change is required in the future
             // For v2, only create if missing (do not delete existing data)
@@ -214,15 +559,53 @@ async function openDatabase() {
                 store.createIndex("by_country", "country", { unique: false });
                 logger.info("Database schema created (v2)");
             } else {
-                // For future migrations, add migration logic here
                 logger.info("Database schema upgrade: no destructive changes (v2)");
             }
+
+            // v3: market prices move out of stock_history into their own store,
+            // and item history gets an index that covers the time range
+            if (e.oldVersion < 3) {
+                const history = tx.objectStore("stock_history");
+                if (!history.indexNames.contains("by_item_time")) {
+                    history.createIndex("by_item_time", ["country", "item_id", "timestamp"], { unique: false });
+                }
+
+                const prices = db.createObjectStore("market_prices", {
+                    keyPath: ["timestamp", "item_id"]
+                });
+                prices.createIndex("by_item_time", ["item_id", "timestamp"], { unique: false });
+                prices.createIndex("by_timestamp", "timestamp", { unique: false });
+
+                // Move the old 'MARKET' pseudo-country rows, which kept the price in quantity
+                let moved = 0;
+                const cursorRequest = history.index("by_country").openCursor(IDBKeyRange.only("MARKET"));
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) {
+                        logger.info(`Database schema upgraded to v3, moved ${moved} market price rows`);
+                        return;
+                    }
+                    const row = cursor.value;
+                    prices.put({
+                        item_id: row.item_id,
+                        timestamp: row.timestamp,
+                        price: row.quantity,
+                        listing_count: null,
+                        average_price: null,
+                        source: "legacy",
+                        created_at: row.created_at || Date.now()
+                    });
+                    cursor.delete();
+                    moved++;
+                    cursor.continue();
+                };
+            }
         };
     });
 }
 
 // Saves a snapshot of stock data into the IndexedDB 'stock_history' store
-async function saveStockSnapshot(db, country, item_id, quantity, timestamp, retryCount = 0) {
+async function saveStockSnapshot(db, country, item_id, quantity, timestamp, source = SNAPSHOT_SOURCES.YATA, retryCount = 0) {
     const MAX_RETRIES = 3;
     try {
         // Validate input
@@ -236,6 +619,7 @@ async function saveStockSnapshot(db, country, item_id, quantity, timestamp, retr
             item_id,
             quantity: validator.sanitizeNumber(quantity),
             timestamp: validator.sanitizeNumber(timestamp),
+            source,
             created_at: Date.now()
         };
         
@@ -260,24 +644,79 @@ async function saveStockSnapshot(db, country, item_id, quantity, timestamp, retr
         if (retryCount < MAX_RETRIES) {
             logger.warn(`Retrying saveStockSnapshot (attempt ${retryCount + 1}/${MAX_RETRIES})`);
             await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-            return saveStockSnapshot(db, country, item_id, quantity, timestamp, retryCount + 1);
+            return saveStockSnapshot(db, country, item_id, quantity, timestamp, source, retryCount + 1);
         }
         logger.error("Failed to save stock snapshot after retries:", err);
+        recordError(DIAGNOSTIC_SOURCES.DATABASE, err, `saveStockSnapshot ${country}:${item_id}`);
         throw err;
     }
 }
 
-// Calculates profit per minute given cost, market price, and flight time
+// Calculates per-unit profit per minute of the round trip given cost, market price, and one-way flight time
 function calculateProfitPerMinute(cost, market, flightTime) {
     cost = validator.sanitizeNumber(cost);
     market = validator.sanitizeNumber(market);
     flightTime = validator.sanitizeNumber(flightTime);
     
     const profit = market - cost;
-    return flightTime > 0 ? profit / flightTime : 0;
+    return flightTime > 0 ? profit / (flightTime * 2) : 0;
+}
+
+// One-way flight time in minutes for a country with the given travel method
+function getFlightTime(country, travelMethod = "standard") {
+    const method = TRAVEL_METHODS[travelMethod] || TRAVEL_METHODS.standard;
+    return Math.round((FLIGHT_TIMES[country] || 0) * method.multiplier);
+}
+
+// Ticket cost for one trip to a country with the given travel method
+function getTicketCost(country, travelMethod = "standard") {
+    const method = TRAVEL_METHODS[travelMethod] || TRAVEL_METHODS.standard;
+    return (TICKET_COSTS[country] || 0) * method.ticketMultiplier;
+}
+
+// Items a player can carry back from one trip for the given trip settings
+function calculateCarryCapacity(settings = {}) {
+    const suitcase = CARRY_CAPACITY.suitcase[settings.suitcase] || 0;
+    const airstrip = settings.airstrip ? CARRY_CAPACITY.airstrip : 0;
+    const jobPerk = Math.max(0, Math.floor(validator.sanitizeNumber(settings.jobPerk)));
+    return CARRY_CAPACITY.base + suitcase + airstrip + jobPerk;
 }
 
-// Cache for static item metadata fetched once at initialization
+// Calculates profit for a whole trip: as many units as the player can carry,
+// limited by the stock expected to be left on arrival, less the ticket, over the round trip
+function calculateTripProfit(cost, market, flightTime, capacity, availableQuantity = capacity, ticketCost = 0) {
+    cost = validator.sanitizeNumber(cost);
+    market = validator.sanitizeNumber(market);
+    flightTime = validator.sanitizeNumber(flightTime);
+    ticketCost = validator.sanitizeNumber(ticketCost);
+
+    const units = Math.max(0, Math.floor(Math.min(
+        validator.sanitizeNumber(capacity),
+        validator.sanitizeNumber(availableQuantity, capacity)
+    )));
+    const roundTrip = flightTime * 2;
+    const profitPerTrip = units * (market - cost) - ticketCost;
+
+    return {
+        units,
+        profitPerTrip,
+        profitPerMinute: roundTrip > 0 ? profitPerTrip / roundTrip : 0,
+        roundTrip
+    };
+}
+
+// Loads the player's trip settings (carry capacity modifiers) from storage
+async function loadTripSettings() {
+    try {
+        const { tripSettings } = await browser.storage.local.get(["tripSettings"]);
+        return { ...DEFAULT_TRIP_SETTINGS, ...(tripSettings || {}) };
+    } catch (err) {
+        logger.warn("Failed to load trip settings, using defaults:", err);
+        return { ...DEFAULT_TRIP_SETTINGS };
+    }
+}
+
+// Static item metadata by "<country>_<id>", from the latest YATA export
 let staticItemData = {};
 
 // YATA API error codes
@@ -298,88 +737,196 @@ class YataApiError extends Error {
     }
 }
 
-// Enhanced loadStaticMetadata with YATA error handling
-async function loadStaticMetadata() {
-    try {
-        await rateLimiter.waitForNextCall(true);
-        const response = await fetch("https://yata.yt/api/v1/travel/export/");
-        
-        if (!response.ok) {
-            const errorData = await response.json();
-            if (errorData.error) {
-                switch (errorData.error.code) {
-                    case YATA_ERROR_CODES.RATE_LIMIT:
-                        logger.warn("YATA API rate limit reached, waiting before retry");
-                        await new Promise(resolve => setTimeout(resolve, 30000)); // Wait 30s
-                        return loadStaticMetadata(); // Retry
-                    case YATA_ERROR_CODES.TORN_API_ERROR:
-                        logger.error("YATA received error from Torn API:", errorData.error.error);
-                        break;
-                    case YATA_ERROR_CODES.SERVER_ERROR:
-                        logger.error("YATA server error:", errorData.error.error);
-                        break;
-                    case YATA_ERROR_CODES.USER_ERROR:
-                        logger.error("YATA user error:", errorData.error.error);
-                        break;
-                }
-                throw new YataApiError(errorData.error, response.status);
-            }
-            throw new Error(`YATA API HTTP error! status: ${response.status}`);
-        }
+// An error returned in a Torn API response body; `code` is Torn's error code
+class TornApiError extends Error {
+    constructor(error) {
+        super(`Torn API error: ${error.error}`);
+        this.name = 'TornApiError';
+        this.code = error.code;
+    }
+}
 
-        const rawData = await response.json();
-        
-        if (!validator.isValidStockData(rawData)) {
-            throw new Error("Invalid YATA API response format");
+// Item metadata (name, cost, flight time) comes with every YATA export, so
+// it is rebuilt from the export fetchAndLogStock already has instead of
+// costing a YATA call of its own; YATA calls are spaced 30s apart
+function updateStaticMetadata(yataData, travelMethod) {
+    const metadata = {};
+    for (const [country, data] of Object.entries(yataData.stocks || {})) {
+        const flight_time = getFlightTime(country, travelMethod);
+        if (!flight_time) {
+            logger.warn(`Missing or invalid flight time for country ${country}`);
         }
-
-        const countries = rawData.stocks || {};
-        for (const [country, data] of Object.entries(countries)) {
-            const items = data.stocks || [];
-            for (const item of items) {
-                if (!item.id || !item.name) continue;
-                
-                const key = `${country}_${item.id}`;
-                const flight_time = FLIGHT_TIMES[country] || 0;
-                if (!flight_time) {
-                    logger.warn(`Missing or invalid flight time for country ${country}`);
-                }
-                
-                staticItemData[key] = {
-                    country,
-                    id: item.id,
-                    name: item.name,
-                    cost: validator.sanitizeNumber(item.cost),
-                    flight_time: flight_time
-                };
-            }
+        for (const item of data.stocks || []) {
+            if (!item.id || !item.name) continue;
+            metadata[`${country}_${item.id}`] = {
+                country,
+                id: item.id,
+                name: item.name,
+                cost: validator.sanitizeNumber(item.cost),
+                flight_time
+            };
         }
-        logger.info("Static metadata loaded successfully");
-        return true;
+    }
+    staticItemData = metadata;
+}
+
+// The first fetch after startup or a data source change also loads the item
+// metadata, so a YATA rate limit is worth one retry
+async function fetchInitialStock() {
+    try {
+        return await fetchAndLogStock();
     } catch (err) {
-        if (err instanceof YataApiError) {
-            // Handle specific YATA API errors
-            switch (err.code) {
-                case YATA_ERROR_CODES.RATE_LIMIT:
-                    logger.warn("Rate limit reached, retrying in 30s");
-                    await new Promise(resolve => setTimeout(resolve, 30000));
-                    return loadStaticMetadata();
-                default:
-                    logger.error(`YATA API Error (${err.code}):`, err.message);
-            }
-        } else {
-            logger.error("Failed to load static metadata:", err);
-        }
-        throw err;
+        if (!(err instanceof YataApiError) || err.code !== YATA_ERROR_CODES.RATE_LIMIT) throw err;
+        logger.warn("YATA API rate limit reached, retrying in 30s");
+        await new Promise(resolve => setTimeout(resolve, 30000));
+        return fetchAndLogStock();
     }
 }
 
+// Whether an item passes the item filter, either by its type or by being listed explicitly
+function isTrackedItem(itemId, type) {
+    if (itemFilter.itemIds.includes(Number(itemId))) return true;
+    return !!type && itemFilter.types.includes(type);
+}
+
+// Normalizes a stored item filter, falling back to the defaults for missing fields
+function normalizeItemFilter(filter) {
+    return {
+        types: Array.isArray(filter?.types) ? filter.types.filter(t => typeof t === 'string') : [...DEFAULT_ITEM_FILTER.types],
+        itemIds: Array.isArray(filter?.itemIds)
+            ? filter.itemIds.map(Number).filter(id => Number.isInteger(id) && id > 0)
+            : [...DEFAULT_ITEM_FILTER.itemIds]
+    };
+}
+
 // Cache for market prices
 let marketPriceCache = {};
-const MARKET_PRICE_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// Price calculations over listings normalized to { price, amount, source },
+// sorted cheapest first
+const priceCalculator = {
+    // Item market and bazaar listings merged into one order book
+    mergeListings(itemmarket = [], bazaar = []) {
+        const normalize = (listing, source) => ({
+            price: Number(listing.price ?? listing.cost) || 0,
+            amount: Number(listing.amount ?? listing.quantity) || 1,
+            source
+        });
+        return [
+            ...itemmarket.map(l => normalize(l, "itemmarket")),
+            ...bazaar.map(l => normalize(l, "bazaar"))
+        ].filter(l => l.price > 0).sort((a, b) => a.price - b.price);
+    },
+
+    // The original rule: first `sampleSize` listings within `tolerance` (a
+    // fraction) of Torn's average price
+    topListings(listings, averagePrice, tolerance = 0.1, sampleSize = 5) {
+        const sample = listings.filter(l => Math.abs(l.price - averagePrice) <= averagePrice * tolerance).slice(0, sampleSize);
+        if (sample.length === 0) return 0;
+        return sample.reduce((sum, l) => sum + l.price, 0) / sample.length;
+    },
+
+    lowest(listings) {
+        return listings.length ? listings[0].price : 0;
+    },
+
+    // Average price of the cheapest `quantity` units on offer, i.e. what a
+    // full load has to compete with when it is listed
+    depthWeighted(listings, quantity) {
+        let remaining = Math.max(1, quantity);
+        let units = 0;
+        let total = 0;
+        for (const listing of listings) {
+            const take = Math.min(listing.amount, remaining);
+            units += take;
+            total += take * listing.price;
+            remaining -= take;
+            if (remaining === 0) break;
+        }
+        return units ? total / units : 0;
+    },
 
-// Enhanced fetchMarketPriceForItem with caching
-async function fetchMarketPriceForItem(itemId) {
+    // Median unit price, so one large listing counts for all of its units
+    median(listings) {
+        const units = listings.reduce((sum, l) => sum + l.amount, 0);
+        if (units === 0) return 0;
+        const middle = (units - 1) / 2;
+        let seen = 0;
+        let lower = null;
+        for (const listing of listings) {
+            seen += listing.amount;
+            if (lower === null && seen > Math.floor(middle)) lower = listing.price;
+            if (seen > Math.ceil(middle)) return (lower + listing.price) / 2;
+        }
+        return lower;
+    },
+
+    // Returns the price for a strategy, rounded to whole dollars
+    calculate(strategy, listings, averagePrice, quantity, options = {}) {
+        let price;
+        switch (strategy) {
+            case PRICING_STRATEGIES.LOWEST:
+                price = this.lowest(listings);
+                break;
+            case PRICING_STRATEGIES.DEPTH_WEIGHTED:
+                price = this.depthWeighted(listings, quantity);
+                break;
+            case PRICING_STRATEGIES.MEDIAN:
+                price = this.median(listings);
+                break;
+            case PRICING_STRATEGIES.TORN_AVERAGE:
+                price = averagePrice || 0;
+                break;
+            default:
+                price = this.topListings(listings, averagePrice, options.tolerance, options.sampleSize);
+        }
+        return Math.round(price);
+    }
+};
+
+// Torn's error code for more than 100 calls per minute on a key
+const TORN_TOO_MANY_REQUESTS = 5;
+
+// Makes one Torn API call once the shared limiter allows it and returns the
+// parsed response. Rate-limit errors make every queued call back off, and the
+// call is made once more when the pause is over.
+async function tornRequest(call, priority = CALL_PRIORITIES.NORMAL, retries = 1) {
+    await tornLimiter.acquire(priority);
+    const res = await call();
+    if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    const data = await res.json();
+    if (data.error && data.error.code === TORN_TOO_MANY_REQUESTS) {
+        tornLimiter.backOff();
+        logger.warn("Torn API rate limit reached, backing off");
+        if (retries > 0) return tornRequest(call, priority, retries - 1);
+        throw new TornApiError(data.error);
+    }
+    // Only a successful call resets the back-off; other API errors leave it as is
+    if (!data.error) {
+        tornLimiter.recordSuccess();
+    }
+    return data;
+}
+
+// Bazaar listings are an optional extra source; a failure only drops them
+async function fetchBazaarListings(itemId, priority) {
+    try {
+        const data = await tornRequest(() => priceSource().fetchBazaar(itemId, apiKey), priority);
+        if (data.error) {
+            throw new TornApiError(data.error);
+        }
+        return Array.isArray(data.bazaar) ? data.bazaar : [];
+    } catch (err) {
+        logger.warn(`Failed to fetch bazaar listings for item ${itemId}:`, err);
+        recordError(DIAGNOSTIC_SOURCES.TORN, err, `bazaar listings for item ${itemId}`);
+        return [];
+    }
+}
+
+// Fetches listings for an item and prices them with the configured strategy.
+// `quantity` is the number of units the depth-weighted strategy prices for.
+async function fetchMarketPriceForItem(itemId, quantity = CARRY_CAPACITY.base, priority = CALL_PRIORITIES.NORMAL) {
     if (!apiKey) {
         logger.warn("No API key available");
         return { price: 0, type: null };
@@ -387,56 +934,185 @@ async function fetchMarketPriceForItem(itemId) {
     
     // Check cache first
     const cached = marketPriceCache[itemId];
-    if (cached && Date.now() - cached.timestamp < MARKET_PRICE_CACHE_DURATION) {
+    if (cached && Date.now() - cached.timestamp < currentSettings.market.cacheMinutes * 60 * 1000) {
         return cached;
     }
     
-    if (itemTypeCache[itemId] && itemTypeCache[itemId] !== "Plushie" && itemTypeCache[itemId] !== "Flower") {
+    if (itemTypeCache[itemId] && !isTrackedItem(itemId, itemTypeCache[itemId])) {
         logger.info(`Skipping non-target item type: ${itemTypeCache[itemId]} for item ${itemId}`);
         return { price: 0, type: itemTypeCache[itemId] };
     }
 
     try {
-        await rateLimiter.waitForNextCall();
-        const res = await fetch(`https://api.torn.com/v2/market/${itemId}/itemmarket?offset=0&key=${apiKey}`);
-        if (!res.ok) {
-            throw new Error(`HTTP error! status: ${res.status}`);
-        }
-        const data = await res.json();
-        
+        const data = await tornRequest(() => priceSource().fetchItemMarket(itemId, apiKey), priority);
+
         apiValidator.validateTornMarketResponse(data, itemId);
+        setBadgeError("torn", null);
+        recordSuccess(DIAGNOSTIC_SOURCES.TORN);
 
         const type = data.itemmarket?.item?.type || null;
         itemTypeCache[itemId] = type;
         await browser.storage.local.set({ itemTypeCache });
 
-        if (type !== "Plushie" && type !== "Flower") {
+        if (!isTrackedItem(itemId, type)) {
             logger.info(`Skipping item ${itemId} of type ${type}`);
             return { price: 0, type };
         }
 
         const average_price = data.itemmarket?.item?.average_price || 0;
-        const listings = data.itemmarket?.listings || [];
-        const filtered = listings.filter(l => Math.abs(l.price - average_price) <= average_price * 0.1);
-        const top5 = filtered.slice(0, 5);
+        const itemmarketListings = data.itemmarket?.listings || [];
+        const { strategy, includeBazaar, listingTolerance, listingSampleSize } = currentSettings.market;
+        const bazaarListings = includeBazaar ? await fetchBazaarListings(itemId, priority) : [];
+        const listings = priceCalculator.mergeListings(itemmarketListings, bazaarListings);
+        const price = priceCalculator.calculate(strategy, listings, average_price, quantity, {
+            tolerance: listingTolerance / 100,
+            sampleSize: listingSampleSize
+        });
         
-        if (top5.length === 0) {
+        if (!price) {
             logger.warn(`No valid listings found for item ${itemId}`);
             return { price: 0, type };
         }
 
-        const avg = top5.reduce((sum, l) => sum + l.price, 0) / top5.length;
-        const result = { price: Math.round(avg), type, timestamp: Date.now() };
+        const result = {
+            price,
+            type,
+            method: strategy,
+            source: bazaarListings.length ? "itemmarket+bazaar" : "itemmarket",
+            listing_count: listings.length,
+            average_price,
+            timestamp: Date.now()
+        };
         
         // Cache the result
         marketPriceCache[itemId] = result;
         return result;
     } catch (err) {
         logger.error(`Error fetching market price for item ${itemId}:`, err);
+        setBadgeError("torn", err);
+        recordError(DIAGNOSTIC_SOURCES.TORN, err, `market price for item ${itemId}`);
         return { price: 0, type: null };
     }
 }
 
+// Every change of key goes through here so the logger keeps hiding it
+function setApiKey(key) {
+    apiKey = key || null;
+    setLogSecrets([apiKey]);
+}
+
+// Checks a Torn API key for the popup and reports its access level, with a
+// warning if it grants more than needed. Goes through the shared limiter so
+// the check counts against the same budget as the background's calls.
+async function validateApiKey(key) {
+    const data = await tornRequest(() => priceSource().fetchUser(key), CALL_PRIORITIES.HIGH);
+    if (data.error) throw new TornApiError(data.error);
+    if (!data.player_id) throw new Error("Invalid API response format");
+    const info = await tornRequest(() => priceSource().fetchKeyInfo(key), CALL_PRIORITIES.HIGH);
+    if (info.error) throw new TornApiError(info.error);
+    return { playerId: data.player_id, name: data.name, ...describeKeyAccess(info) };
+}
+
+// Validates and saves a key, encrypted with the passphrase if one is given.
+// The popup restarts the collector afterwards.
+async function saveKey(key, passphrase = "") {
+    const result = await validateApiKey(key);
+    const { accessLevel, accessType, warning } = result;
+    await saveApiKey(key, passphrase, { accessLevel, accessType, warning });
+    setApiKey(key);
+    // An error from the previous key no longer applies
+    setBadgeError("torn", null);
+    return result;
+}
+
+// Decrypts the saved key for this browser session and starts collecting
+async function unlockKey(passphrase) {
+    setApiKey(await unlockApiKey(passphrase));
+    // Not awaited: the first collection can take a while. A failure is
+    // already logged and recorded in diagnostics by initialize().
+    initialize().catch(() => {});
+}
+
+async function removeKey() {
+    await clearApiKey();
+    setApiKey(null);
+}
+
+// Refreshes stock for the given countries (all when omitted) with fresh
+// market prices for the given items (all when omitted). Resolves once the
+// new stock data is published and rejects if the refresh failed.
+async function refreshStock({ countries = null, itemIds = null } = {}) {
+    if (!apiKey) {
+        throw new Error("No API key saved");
+    }
+    manualRefreshMode = true;
+    try {
+        return await fetchAndLogStock(
+            countries && countries.length ? countries : null,
+            { itemIds: itemIds && itemIds.length ? itemIds.map(Number) : null }
+        );
+    } finally {
+        // A failed fetch would otherwise leave the next scheduled one fetching prices
+        manualRefreshMode = false;
+    }
+}
+
+// What the background is doing, for the popup
+async function getStatus() {
+    const { stockDataVersion, priceWarmup: warmup } = await browser.storage.local.get(["stockDataVersion", "priceWarmup"]);
+    const { lastSuccess } = await loadDiagnostics();
+    const { locked } = await loadApiKey();
+    return {
+        hasApiKey: !!apiKey,
+        keyLocked: locked,
+        lastUpdate: stockDataVersion || null,
+        apiBudget: tornLimiter.status(),
+        priceWarmup: warmup || null,
+        lastSuccess
+    };
+}
+
+// The settings the background is running with
+async function getSettings() {
+    return {
+        settings: currentSettings,
+        tripSettings: await loadTripSettings(),
+        itemFilter
+    };
+}
+
+// Row counts per store and the storage the extension uses overall, if the
+// browser reports it
+async function getDatabaseStats() {
+    const db = await openDatabase();
+    const stores = {};
+    for (const name of ["stock_history", "market_prices"]) {
+        const tx = db.transaction(name, "readonly");
+        stores[name] = await requestToPromise(tx.objectStore(name).count());
+    }
+    let usage = null;
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        try {
+            usage = (await navigator.storage.estimate()).usage ?? null;
+        } catch (err) {
+            logger.warn("Failed to estimate storage usage:", err);
+        }
+    }
+    return { stores, usage };
+}
+
+// Everything the popup's diagnostics panel shows
+async function getDiagnostics() {
+    const { events, lastSuccess } = await loadDiagnostics();
+    let database = null;
+    try {
+        database = await getDatabaseStats();
+    } catch (err) {
+        logger.warn("Failed to read database stats:", err);
+    }
+    return { events, lastSuccess, database, apiBudget: tornLimiter.status() };
+}
+
 // Fetch all item types from Torn API in one call
 async function fetchAllItemTypes() {
     if (!apiKey) {
@@ -444,46 +1120,238 @@ async function fetchAllItemTypes() {
         return {};
     }
     try {
-        await rateLimiter.waitForNextCall();
-        const res = await fetch(`https://api.torn.com/torn/?selections=items&key=${apiKey}`);
-        if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
-        const data = await res.json();
-        if (data.error) throw new Error(data.error.error);
+        const data = await tornRequest(() => priceSource().fetchItems(apiKey));
+        if (data.error) throw new TornApiError(data.error);
 
         const typeCache = {};
         for (const [id, item] of Object.entries(data.items || {})) {
             typeCache[id] = item.type;
         }
         logger.info("Fetched all item types from Torn API");
+        setBadgeError("torn", null);
+        recordSuccess(DIAGNOSTIC_SOURCES.TORN);
         return typeCache;
     } catch (err) {
         logger.error("Failed to fetch all item types:", err);
+        setBadgeError("torn", err);
+        recordError(DIAGNOSTIC_SOURCES.TORN, err, "fetchAllItemTypes");
         return {};
     }
 }
 
-// Fetch and cache all market prices for relevant items (Plushie/Flower)
-async function fetchAndCacheAllMarketPrices() {
+// Market price warm-up: fetches a price for every tracked item sold abroad
+// in the background, at low priority, and publishes prices into stockData
+// in batches as they arrive. Progress is kept in storage ("priceWarmup") so
+// a restarted background resumes the run instead of starting over.
+const WARMUP_BATCH_SIZE = 5;
+// An unfinished run older than this (seconds) is started over instead of resumed
+const WARMUP_RESUME_WINDOW = 60 * 60;
+// After each scheduled stock fetch this many tracked items are re-priced, so
+// price trends keep getting points between warm-ups
+const PRICE_SAMPLES_PER_FETCH = 2;
+// Sampled items are at least this old (seconds), whatever the price cache time
+const PRICE_SAMPLE_MIN_AGE = 30 * 60;
+
+const priceWarmup = {
+    // Items to warm, most valuable first: never-priced items lead, the rest
+    // are ranked by profit/min weighted by staleness (an hour-old price counts
+    // double). Items priced within `freshFor` seconds are left out.
+    order(itemIds, { lastPriced = {}, profit = {} } = {}, now = Math.floor(Date.now() / 1000), freshFor = 0) {
+        const score = id => (1 + Math.max(0, profit[id] || 0)) * (1 + (now - lastPriced[id]) / 3600);
+        return itemIds
+            .filter(id => !lastPriced[id] || now - lastPriced[id] >= freshFor)
+            .sort((a, b) => {
+                if (!lastPriced[a] !== !lastPriced[b]) return lastPriced[a] ? 1 : -1;
+                return lastPriced[a] ? score(b) - score(a) : 0;
+            });
+    },
+
+    // Copies a fetched price into published stock data and recomputes the
+    // fields that depend on it. Returns whether any item changed.
+    applyPrice(stockData, itemId, info) {
+        let changed = false;
+        for (const items of Object.values(stockData || {})) {
+            for (const item of items) {
+                if (Number(item.id) !== Number(itemId)) continue;
+                const trip = calculateTripProfit(item.cost, info.price, item.flight_time, item.carry_capacity, item.projected_quantity, item.ticket_cost);
+                Object.assign(item, {
+                    market_price: info.price,
+                    price_method: info.method ?? null,
+                    profit_per_minute: calculateProfitPerMinute(item.cost, info.price, item.flight_time),
+                    trip_units: trip.units,
+                    profit_per_trip: trip.profitPerTrip,
+                    trip_profit_per_minute: trip.profitPerMinute
+                });
+                changed = true;
+            }
+        }
+        return changed;
+    }
+};
+
+let warmupRunning = false;
+// Set when a warm-up is asked for while one is running, e.g. for newly tracked items
+let warmupRequested = false;
+
+// Writes a batch of warmed prices, and the run's progress if given, to storage
+async function publishWarmedPrices(prices, progress = null) {
+    const { stockData } = await browser.storage.local.get(["stockData"]);
+    const progressUpdate = progress ? { priceWarmup: progress } : {};
+    let changed = false;
+    for (const [itemId, info] of prices) {
+        changed = priceWarmup.applyPrice(stockData, itemId, info) || changed;
+    }
+    if (!changed) {
+        if (progress) await browser.storage.local.set(progressUpdate);
+        return;
+    }
+    await browser.storage.local.set({
+        stockData,
+        departurePlan: departurePlanner.plan(stockData),
+        ...progressUpdate,
+        stockDataVersion: Date.now()
+    });
+    updateBadge(stockData);
+}
+
+// Tracked items sold abroad, by id
+function trackedAbroadIds() {
+    return Array.from(new Set(Object.values(staticItemData).map(meta => Number(meta.id))))
+        .filter(id => isTrackedItem(id, itemTypeCache[id]));
+}
+
+// What priceWarmup.order ranks by: when each item was last priced and its
+// best published profit
+async function loadPriceRanking(db, itemIds) {
+    const { stockData } = await browser.storage.local.get(["stockData"]);
+    const lastPriced = {};
+    for (const id of itemIds) {
+        try {
+            const latest = await getLatestMarketPrice(db, id);
+            if (latest) lastPriced[id] = latest.timestamp;
+        } catch (err) {
+            logger.warn(`Failed to load the last price of item ${id}:`, err);
+        }
+    }
+    const profit = {};
+    for (const items of Object.values(stockData || {})) {
+        for (const item of items) {
+            profit[item.id] = Math.max(profit[item.id] ?? 0, item.trip_profit_per_minute ?? item.profit_per_minute ?? 0);
+        }
+    }
+    return { lastPriced, profit };
+}
+
+// Fetches and stores one price at low priority; resolves with the price info
+async function fetchAndSavePrice(db, itemId, carryCapacity) {
+    // Warming and sampling give way to anything the user is waiting for
+    const info = await fetchMarketPriceForItem(itemId, carryCapacity, CALL_PRIORITIES.LOW);
+    // Every fetched price becomes a point in the item's price history
+    try {
+        await saveMarketPrice(db, itemId, info, Math.floor((info.timestamp || Date.now()) / 1000), info.source);
+    } catch (err) {
+        logger.warn('Failed to save market price to DB:', err);
+    }
+    return info;
+}
+
+// Re-prices the few tracked items whose prices are stalest (weighted by
+// profit), a handful of calls per scheduled fetch. Skipped while a warm-up
+// is already fetching prices.
+async function samplePrices(count = PRICE_SAMPLES_PER_FETCH) {
+    if (!apiKey || warmupRunning) return;
+    try {
+        const now = Math.floor(Date.now() / 1000);
+        const db = await openDatabase();
+        const itemIds = trackedAbroadIds();
+        const freshFor = Math.max(PRICE_SAMPLE_MIN_AGE, currentSettings.market.cacheMinutes * 60);
+        const sample = priceWarmup.order(itemIds, await loadPriceRanking(db, itemIds), now, freshFor).slice(0, count);
+        if (!sample.length) return;
+
+        const carryCapacity = calculateCarryCapacity(await loadTripSettings());
+        const prices = [];
+        for (const itemId of sample) {
+            const info = await fetchAndSavePrice(db, itemId, carryCapacity);
+            if (info.price) prices.push([itemId, info]);
+        }
+        await publishWarmedPrices(prices);
+    } catch (err) {
+        logger.error("Market price sampling failed:", err);
+        recordError(DIAGNOSTIC_SOURCES.BACKGROUND, err, "samplePrices");
+    }
+}
+
+// Runs (or resumes) the price warm-up. Not awaited at startup, so the first
+// stock render uses whatever prices are already stored.
+async function warmMarketPrices() {
     if (!apiKey) {
         logger.warn("No API key available for fetching market prices");
         return;
     }
-    const itemIds = Object.keys(itemTypeCache).filter(
-        id => itemTypeCache[id] === 'Plushie' || itemTypeCache[id] === 'Flower'
-    );
-    for (const itemId of itemIds) {
-        await fetchMarketPriceForItem(itemId);
+    if (warmupRunning) {
+        warmupRequested = true;
+        return;
+    }
+    warmupRunning = true;
+    try {
+        const now = Math.floor(Date.now() / 1000);
+        const abroadIds = trackedAbroadIds();
+        const db = await openDatabase();
+        const { priceWarmup: saved } = await browser.storage.local.get(["priceWarmup"]);
+
+        let progress;
+        if (saved && !saved.finishedAt && now - saved.startedAt < WARMUP_RESUME_WINDOW) {
+            progress = { ...saved, pending: saved.pending.filter(id => abroadIds.includes(id)) };
+            logger.info(`Resuming market price warm-up, ${progress.pending.length} items left`);
+        } else {
+            const ranking = await loadPriceRanking(db, abroadIds);
+            const pending = priceWarmup.order(abroadIds, ranking, now, currentSettings.market.cacheMinutes * 60);
+            progress = { startedAt: now, total: pending.length, done: 0, pending, finishedAt: null };
+        }
+        await browser.storage.local.set({ priceWarmup: progress });
+
+        const carryCapacity = calculateCarryCapacity(await loadTripSettings());
+        let batch = [];
+        while (progress.pending.length) {
+            const itemId = progress.pending[0];
+            const info = await fetchAndSavePrice(db, itemId, carryCapacity);
+            progress = { ...progress, pending: progress.pending.slice(1), done: progress.done + 1 };
+            if (info.price) batch.push([itemId, info]);
+
+            if (batch.length >= WARMUP_BATCH_SIZE || !progress.pending.length) {
+                if (!progress.pending.length) progress.finishedAt = Math.floor(Date.now() / 1000);
+                await publishWarmedPrices(batch, progress);
+                batch = [];
+            }
+        }
+        if (!progress.finishedAt) {
+            // Nothing needed warming
+            progress.finishedAt = now;
+            await browser.storage.local.set({ priceWarmup: progress });
+        }
+        logger.info(`Market price warm-up finished, ${progress.done} of ${progress.total} items fetched`);
+    } catch (err) {
+        logger.error("Market price warm-up failed:", err);
+        recordError(DIAGNOSTIC_SOURCES.BACKGROUND, err, "warmMarketPrices");
+    } finally {
+        warmupRunning = false;
+        if (warmupRequested) {
+            warmupRequested = false;
+            warmMarketPrices();
+        }
     }
-    logger.info('Initial market prices fetched and cached.');
 }
 
-// Update fetchAndLogStock with YATA error handling
-async function fetchAndLogStock(requestedCountries = null) {
+// Update fetchAndLogStock with YATA error handling.
+// In manual refresh mode, market prices are fetched for the items in
+// `options.itemIds` (every item when null). Resolves with a summary.
+async function fetchAndLogStock(requestedCountries = null, options = {}) {
+    const refreshItemIds = options.itemIds || null;
     const db = await openDatabase();
     let yataData = {};
     try {
-        await rateLimiter.waitForNextCall(true);
-        const yataRes = await fetch("https://yata.yt/api/v1/travel/export/");
+        await rateLimiter.waitForNextCall();
+        const yataRes = await stockSource().fetchStockExport();
 
         if (!yataRes.ok) {
             const errorData = await yataRes.json();
@@ -495,22 +1363,27 @@ async function fetchAndLogStock(requestedCountries = null) {
 
         yataData = await yataRes.json();
         apiValidator.validateYataResponse(yataData);
+        const tripSettings = await loadTripSettings();
+        updateStaticMetadata(yataData, tripSettings.travelMethod);
 
         // Define timestamp as soon as yataData is available
         const timestamp = yataData.timestamp || Math.floor(Date.now() / 1000);
 
+        // Snapshots are stamped with each country's own update time; YATA's
+        // global timestamp says nothing about how old a country's stock is.
+        // A country whose update time has not moved has nothing new to record.
+        const { countryUpdates: previousUpdates } = await browser.storage.local.get(["countryUpdates"]);
+        const countryUpdates = { ...(previousUpdates || {}) };
         for (const [country, data] of Object.entries(yataData.stocks || {})) {
             if (requestedCountries && !requestedCountries.includes(country)) continue;
+            if (countryUpdates[country] && data.update <= countryUpdates[country]) {
+                logger.info(`No new stock data for ${country} since ${countryUpdates[country]}`);
+                continue;
+            }
             for (const item of data.stocks || []) {
-                const historicalData = await getHistoricalData(db, country, item.id, timestamp - (24 * 60 * 60), timestamp);
-                const trend = stockAnalyzer.calculateTrend(historicalData);
-                const restock = stockAnalyzer.predictRestock(historicalData);
-                await saveStockSnapshot(db, country, item.id, item.quantity, timestamp, {
-                    trend,
-                    restock,
-                    countryName: COUNTRY_CODES[country] || country
-                });
+                await saveStockSnapshot(db, country, item.id, item.quantity, data.update);
             }
+            countryUpdates[country] = data.update;
         }
 
         const dynamicData = {};
@@ -519,19 +1392,22 @@ async function fetchAndLogStock(requestedCountries = null) {
             if (requestedCountries && !requestedCountries.includes(country)) continue;
             for (const item of data.stocks || []) {
                 const key = `${country}_${item.id}`;
-                dynamicData[key] = { quantity: item.quantity };
+                dynamicData[key] = { quantity: item.quantity, updated: data.update };
                 // Only fetch price if manual refresh
-                if (manualRefreshMode) itemIdsToFetch.add(item.id);
+                if (manualRefreshMode && (!refreshItemIds || refreshItemIds.includes(item.id))) itemIdsToFetch.add(item.id);
             }
         }
 
+        const carryCapacity = calculateCarryCapacity(tripSettings);
+
         const priceMap = {};
         const itemIds = Array.from(itemIdsToFetch);
         for (let i = 0; i < itemIds.length; i++) {
-            priceMap[itemIds[i]] = await fetchMarketPriceForItem(itemIds[i]);
+            priceMap[itemIds[i]] = await fetchMarketPriceForItem(itemIds[i], carryCapacity, CALL_PRIORITIES.HIGH);
         }
 
         const result = {};
+        const priceTrends = {};
         for (const [key, dyn] of Object.entries(dynamicData)) {
             const meta = staticItemData[key];
             if (!meta) {
@@ -539,84 +1415,276 @@ async function fetchAndLogStock(requestedCountries = null) {
                 continue;
             }
             let market_price = 0;
-            if (manualRefreshMode) {
-                const info = priceMap[meta.id] || {};
-                market_price = info.price ?? 0;
+            let price_method = null;
+            const info = priceMap[meta.id] || {};
+            // A failed fetch (price 0) keeps the stored price below
+            if (info.price) {
+                market_price = info.price;
+                price_method = info.method ?? null;
                 // Save to IndexedDB for persistence
                 try {
-                    const tx = db.transaction("stock_history", "readwrite");
-                    const store = tx.objectStore("stock_history");
-                    // Use a special country code for market price snapshots
-                    const priceKey = [timestamp, 'MARKET', meta.id];
-                    await store.put({
-                        country: 'MARKET',
-                        item_id: meta.id,
-                        quantity: market_price, // Store price in quantity field for simplicity
-                        timestamp,
-                        created_at: Date.now(),
-                        type: 'market_price'
-                    });
-                    await tx.done;
+                    // Keyed by fetch time, so a cached price is not stored twice
+                    const fetchedAt = info.timestamp ? Math.floor(info.timestamp / 1000) : timestamp;
+                    await saveMarketPrice(db, meta.id, info, fetchedAt, info.source);
                 } catch (err) {
                     logger.warn('Failed to save market price to DB:', err);
                 }
             } else {
                 // Try to get the latest market price from IndexedDB
                 try {
-                    const latestPrice = await getLatestSnapshot(db, 'MARKET', meta.id);
-                    if (latestPrice && typeof latestPrice.quantity === 'number') {
-                        market_price = latestPrice.quantity;
+                    const latestPrice = await getLatestMarketPrice(db, meta.id);
+                    if (latestPrice && typeof latestPrice.price === 'number') {
+                        market_price = latestPrice.price;
+                        price_method = latestPrice.method ?? null;
                     } else if (marketPriceCache[meta.id]) {
                         market_price = marketPriceCache[meta.id].price ?? 0;
+                        price_method = marketPriceCache[meta.id].method ?? null;
                     }
                 } catch (err) {
                     logger.warn('Failed to load market price from DB:', err);
                     if (marketPriceCache[meta.id]) {
                         market_price = marketPriceCache[meta.id].price ?? 0;
+                        price_method = marketPriceCache[meta.id].method ?? null;
                     }
                 }
             }
             const item_type = itemTypeCache[meta.id];
-            if (typeof item_type === "undefined") {
+            if (typeof item_type === "undefined" && !isTrackedItem(meta.id, item_type)) {
                 logger.info(`Item ${meta.id} (${meta.name}) type: UNKNOWN`);
                 logger.info(`Skipping item ${meta.id} (${meta.name}) because type is unknown`);
                 continue;
             }
-            if (item_type !== "Plushie" && item_type !== "Flower") {
+            if (!isTrackedItem(meta.id, item_type)) {
                 continue;
             }
-            const ppm = calculateProfitPerMinute(meta.cost, market_price, meta.flight_time);
-            await saveStockSnapshot(db, meta.country, meta.id, dyn.quantity, timestamp);
+            // Items sold in several countries share one price history
+            if (!(meta.id in priceTrends)) {
+                try {
+                    const prices = await getMarketPriceHistory(db, meta.id, timestamp - PRICE_HISTORY_DAYS * 24 * 60 * 60, timestamp);
+                    priceTrends[meta.id] = stockAnalyzer.analyzePriceTrend(prices, timestamp);
+                } catch (err) {
+                    logger.warn(`Failed to analyze price history for item ${meta.id}:`, err);
+                    priceTrends[meta.id] = null;
+                }
+            }
+
+            const flight_time = getFlightTime(meta.country, tripSettings.travelMethod);
+            const ticket_cost = getTicketCost(meta.country, tripSettings.travelMethod);
+            const ppm = calculateProfitPerMinute(meta.cost, market_price, flight_time);
+
+            // Forecast the next restock from the last day of snapshots
+            const now = Math.floor(Date.now() / 1000);
+            let trend = 0;
+            let restock = null;
+            let depletion = null;
+            let quantity = dyn.quantity;
+            let quantity_source = SNAPSHOT_SOURCES.YATA;
+            let quantity_timestamp = dyn.updated;
+            try {
+                // Up to now rather than the YATA timestamp, to include newer shop snapshots
+                const historicalData = stockAnalyzer.preferShopSnapshots(
+                    await getHistoricalData(db, meta.country, meta.id, dyn.updated - (24 * 60 * 60), Math.max(now, timestamp))
+                );
+                const latest = historicalData[historicalData.length - 1];
+                if (latest && latest.source === SNAPSHOT_SOURCES.SHOP && latest.timestamp > dyn.updated) {
+                    quantity = latest.quantity;
+                    quantity_source = SNAPSHOT_SOURCES.SHOP;
+                    quantity_timestamp = latest.timestamp;
+                }
+                trend = stockAnalyzer.calculateTrend(historicalData);
+                restock = stockAnalyzer.predictRestock(historicalData, now);
+                depletion = stockAnalyzer.estimateDepletionRate(historicalData);
+            } catch (err) {
+                logger.warn(`Failed to analyze history for ${key}:`, err);
+            }
+
+            // Project what will be left when a player departing now lands
+            const projected_quantity = stockAnalyzer.projectQuantity(quantity, depletion, flight_time, now, restock);
+            const depletion_rate = depletion
+                ? (depletion.byPeriod[stockAnalyzer.depletionPeriod(now)] ?? depletion.overall)
+                : 0;
+            const trip = calculateTripProfit(meta.cost, market_price, flight_time, carryCapacity, projected_quantity, ticket_cost);
 
             if (!result[meta.country]) result[meta.country] = [];
             result[meta.country].push({
                 ...meta,
-                quantity: dyn.quantity,
+                flight_time,
+                travel_method: tripSettings.travelMethod,
+                ticket_cost,
+                quantity,
+                quantity_source,
                 market_price,
+                price_method,
+                price_trend: priceTrends[meta.id],
                 profit_per_minute: ppm,
-                timestamp,
+                trend,
+                restock,
+                depletion_rate,
+                projected_quantity,
+                empty_on_arrival: projected_quantity === 0,
+                carry_capacity: carryCapacity,
+                trip_units: trip.units,
+                profit_per_trip: trip.profitPerTrip,
+                trip_profit_per_minute: trip.profitPerMinute,
+                timestamp: quantity_timestamp,
                 type: item_type
             });
         }
 
-        await browser.storage.local.set({ stockData: result, stockDataVersion: Date.now() });
+        const departurePlan = departurePlanner.plan(result);
+        await browser.storage.local.set({ stockData: result, departurePlan, countryUpdates, stockDataVersion: Date.now() });
         console.log("Stock data updated and saved.");
+        setBadgeError("yata", null);
+        recordSuccess(DIAGNOSTIC_SOURCES.YATA);
+        updateBadge(result);
+
+        try {
+            await checkNotifications(result);
+        } catch (err) {
+            logger.warn("Failed to check notifications:", err);
+        }
         manualRefreshMode = false;
+        return {
+            countries: Object.keys(result).length,
+            items: Object.values(result).reduce((sum, items) => sum + items.length, 0),
+            pricesFetched: itemIds.length
+        };
     } catch (e) {
         logger.error("YATA fetch/validation failed:", e);
+        setBadgeError("yata", e);
+        recordError(DIAGNOSTIC_SOURCES.YATA, e, "fetchAndLogStock");
         throw e; // Propagate error for better handling
     }
 }
 
+// Predictions for the content script, from the latest published stock data.
+// Items are ranked by trip profit per minute, best first.
+async function getPredictions(countries = null) {
+    const { stockData } = await browser.storage.local.get(["stockData"]);
+    const predictions = {};
+    for (const [country, items] of Object.entries(stockData || {})) {
+        if (countries && !countries.includes(country)) continue;
+        predictions[country] = {
+            name: COUNTRY_CODES[country] || country.toUpperCase(),
+            items: items
+                .map(item => ({
+                    id: item.id,
+                    name: item.name,
+                    quantity: item.quantity,
+                    flight_time: item.flight_time,
+                    projected_quantity: item.projected_quantity ?? null,
+                    empty_on_arrival: !!item.empty_on_arrival,
+                    profit_per_trip: item.profit_per_trip ?? 0,
+                    trip_profit_per_minute: item.trip_profit_per_minute ?? item.profit_per_minute ?? 0,
+                    next_restock: item.restock && !item.restock.overdue ? item.restock.nextRestock : null,
+                    restock_confidence: item.restock ? item.restock.confidence : null,
+                    timestamp: item.timestamp
+                }))
+                .sort((a, b) => b.trip_profit_per_minute - a.trip_profit_per_minute)
+        };
+    }
+    return predictions;
+}
+
+// Records the quantities a player saw in an abroad shop (sent by the
+// shop-capture content script) and shows them in the popup right away.
+// `country` may be a country code or its name as shown on the page.
+async function recordShopStock(country, items, timestamp) {
+    const code = countryCodeFromName(country);
+    if (!code) {
+        throw new Error(`Unknown country: ${country}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const seenAt = Math.min(now, Math.floor(Number(timestamp)) || now);
+    const valid = (items || [])
+        .map(item => ({ id: Number(item.id), quantity: Number(item.quantity) }))
+        .filter(item => Number.isInteger(item.id) && item.id > 0 && Number.isInteger(item.quantity) && item.quantity >= 0);
+
+    const db = await openDatabase();
+    for (const item of valid) {
+        await saveStockSnapshot(db, code, item.id, item.quantity, seenAt, SNAPSHOT_SOURCES.SHOP);
+    }
+
+    // The next fetch recomputes forecasts; until then patch in the live quantities
+    const { stockData } = await browser.storage.local.get(["stockData"]);
+    const quantities = new Map(valid.map(item => [item.id, item.quantity]));
+    let changed = false;
+    (stockData && stockData[code] || []).forEach(item => {
+        if (!quantities.has(Number(item.id)) || seenAt <= (item.timestamp || 0)) return;
+        item.quantity = quantities.get(Number(item.id));
+        item.quantity_source = SNAPSHOT_SOURCES.SHOP;
+        item.timestamp = seenAt;
+        changed = true;
+    });
+    if (changed) {
+        await browser.storage.local.set({ stockData, stockDataVersion: Date.now() });
+        updateBadge(stockData);
+    }
+
+    logger.info(`Recorded ${valid.length} live shop quantities for ${code}`);
+    return { country: code, saved: valid.length };
+}
+
+// (Re)creates the periodic quantity-only fetch alarm with the configured interval
+function schedulePeriodicFetch() {
+    const alarms = (typeof browser !== 'undefined' && browser.alarms) ? browser.alarms : (typeof chrome !== 'undefined' ? chrome.alarms : null);
+    if (!alarms) return;
+    alarms.clear("periodicFetch", () => {
+        alarms.create("periodicFetch", { periodInMinutes: currentSettings.collection.fetchIntervalMinutes });
+    });
+}
+
+// Applies settings live: called at startup and whenever the options page saves
+function applySettings(settings) {
+    const previous = currentSettings;
+    currentSettings = normalizeSettings(settings);
+    tornLimiter.setMinDelay(currentSettings.collection.apiMinDelay);
+    setBadgeMode(currentSettings.badge.mode);
+    configureDataSources(currentSettings.sources);
+
+    // Cached prices were calculated with the previous market settings or came from another source
+    if (JSON.stringify(previous.market) !== JSON.stringify(currentSettings.market)
+        || JSON.stringify(previous.sources) !== JSON.stringify(currentSettings.sources)) {
+        marketPriceCache = {};
+    }
+    if (apiKey && previous.collection.fetchIntervalMinutes !== currentSettings.collection.fetchIntervalMinutes) {
+        schedulePeriodicFetch();
+    }
+}
+
+// Settles once initialize() has loaded the saved key, settings and caches.
+// Message handlers wait for it, so they can answer while the first stock
+// fetch is still running.
+let ready = null;
+
+function whenReady() {
+    return ready || Promise.resolve();
+}
+
+// Loads the saved key, settings and item filter; resolves with loadApiKey()'s result
+async function loadSavedState() {
+    const data = await browser.storage.local.get(["itemTypeCache", "itemFilter"]);
+    const savedKey = await loadApiKey();
+    setApiKey(savedKey.apiKey);
+    itemTypeCache = data.itemTypeCache || {};
+    itemFilter = normalizeItemFilter(data.itemFilter);
+    applySettings(await loadSettings());
+    return savedKey;
+}
+
 // Initializes the extension: loads API key, metadata, and starts periodic quantity-only fetching
 async function initialize() {
+    ready = loadSavedState();
     try {
-        const data = await browser.storage.local.get(["tornApiKey", "itemTypeCache"]);
-        apiKey = data.tornApiKey || null;
-        itemTypeCache = data.itemTypeCache || {};
+        const savedKey = await ready;
 
         if (!apiKey) {
-            logger.warn("API key is missing. Extension is idle until a key is provided.");
+            if (savedKey.locked) {
+                logger.warn("API key is encrypted. Extension is idle until it is unlocked from the popup.");
+            } else {
+                logger.warn("API key is missing. Extension is idle until a key is provided.");
+            }
             return; // Do not proceed further
         }
 
@@ -626,39 +1694,65 @@ async function initialize() {
             await browser.storage.local.set({ itemTypeCache });
         }
 
-        await loadStaticMetadata();
-        // Fetch and cache all market prices for relevant items (Plushie/Flower) once at startup
-        await fetchAndCacheAllMarketPrices();
-        await fetchAndLogStock();
+        // Render stock right away with stored prices; fresh prices follow as they are fetched
+        await fetchInitialStock();
+        warmMarketPrices();
 
-        // Remove setInterval/clearInterval logic
-        // Set up periodic alarm (every 30s)
+        schedulePeriodicFetch();
         const alarms = (typeof browser !== 'undefined' && browser.alarms) ? browser.alarms : (typeof chrome !== 'undefined' ? chrome.alarms : null);
         if (alarms) {
-            alarms.clear("periodicFetch", () => {
-                alarms.create("periodicFetch", { periodInMinutes: 0.5 }); // 30 seconds
+            // Compact old history hourly, starting shortly after startup
+            alarms.clear("compactHistory", () => {
+                alarms.create("compactHistory", { delayInMinutes: 1, periodInMinutes: 60 });
             });
         }
 
         logger.info("Initialization completed successfully");
     } catch (err) {
         logger.error("Initialization failed:", err);
+        recordError(DIAGNOSTIC_SOURCES.BACKGROUND, err, "initialize");
+        // Callers such as the popup's restart button report the failure too
+        throw err;
     }
 }
 
+// Resolutions (seconds) of compacted stock_history rows; raw rows have none
+const HISTORY_RESOLUTIONS = {
+  fiveMinute: 5 * 60,
+  hourly: 60 * 60
+};
+
+// Days to keep raw snapshots, 5-minute aggregates and hourly aggregates (0 = forever)
+const DEFAULT_RETENTION_SETTINGS = {
+  rawDays: 3,
+  fiveMinuteDays: 30,
+  hourlyDays: 0
+};
+
+// Upper bound on points sent to the popup per chart series
+const HISTORY_CHART_MAX_POINTS = 500;
+
+// Wraps a raw IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 // Query methods for historical data
 async function getHistoricalData(db, country, item_id, startTime, endTime) {
   try {
     const tx = db.transaction("stock_history", "readonly");
     const store = tx.objectStore("stock_history");
-    const index = store.index("by_item");
+    const index = store.index("by_item_time");
     
     const range = IDBKeyRange.bound(
       [country, item_id, startTime], 
       [country, item_id, endTime]
     );
     
-    const results = await index.getAll(range) || [];
+    const results = await requestToPromise(index.getAll(range)) || [];
     return Array.isArray(results) ? results.sort((a, b) => a.timestamp - b.timestamp) : [];
   } catch (err) {
     logger.error("Failed to fetch historical data:", err);
@@ -666,18 +1760,331 @@ async function getHistoricalData(db, country, item_id, startTime, endTime) {
   }
 }
 
+// Saves a fetched market price into the 'market_prices' store
+async function saveMarketPrice(db, item_id, info, timestamp, source) {
+  // A failed fetch reports a price of 0, which is not worth keeping
+  if (!info || !info.price) return;
+
+  const tx = db.transaction("market_prices", "readwrite");
+  tx.objectStore("market_prices").put({
+    item_id,
+    timestamp: validator.sanitizeNumber(timestamp),
+    price: validator.sanitizeNumber(info.price),
+    listing_count: info.listing_count ?? null,
+    average_price: info.average_price ?? null,
+    method: info.method ?? null,
+    source: source || "itemmarket",
+    created_at: Date.now()
+  });
+  await transactionDone(tx);
+}
+
+// Market price rows for one item between two timestamps, oldest first
+async function getMarketPriceHistory(db, item_id, startTime, endTime) {
+  try {
+    const tx = db.transaction("market_prices", "readonly");
+    const index = tx.objectStore("market_prices").index("by_item_time");
+    const results = await requestToPromise(index.getAll(IDBKeyRange.bound([item_id, startTime], [item_id, endTime])));
+    return results || [];
+  } catch (err) {
+    logger.error("Failed to fetch market price history:", err);
+    throw err;
+  }
+}
+
+async function getLatestMarketPrice(db, item_id) {
+  try {
+    const tx = db.transaction("market_prices", "readonly");
+    const index = tx.objectStore("market_prices").index("by_item_time");
+    const range = IDBKeyRange.bound([item_id, 0], [item_id, Infinity]);
+    const cursor = await requestToPromise(index.openCursor(range, 'prev'));
+    return cursor ? cursor.value : null;
+  } catch (err) {
+    logger.error("Failed to fetch latest market price:", err);
+    throw err;
+  }
+}
+
+// Thins a time series to at most maxPoints by keeping the last point of each time bucket
+function downsampleSeries(series, maxPoints) {
+  if (series.length <= maxPoints) return series;
+  const start = series[0].timestamp;
+  const bucketSize = (series[series.length - 1].timestamp - start) / maxPoints;
+  const buckets = new Map();
+  for (const point of series) {
+    buckets.set(Math.min(maxPoints - 1, Math.floor((point.timestamp - start) / bucketSize)), point);
+  }
+  return Array.from(buckets.values());
+}
+
+// Loads quantity and market price history for one item over the last `hours`,
+// along with the restock events found in it, for the popup's detail chart
+async function getItemHistory(country, item_id, hours = 24) {
+  const db = await openDatabase();
+  const endTime = Math.floor(Date.now() / 1000);
+  const startTime = endTime - hours * 60 * 60;
+
+  const stock = stockAnalyzer.preferShopSnapshots(await getHistoricalData(db, country, item_id, startTime, endTime));
+  const market = await getMarketPriceHistory(db, item_id, startTime, endTime);
+  const restocks = stockAnalyzer.detectRestocks(stock);
+
+  return {
+    country,
+    item_id,
+    startTime,
+    endTime,
+    stock: downsampleSeries(stock.map(r => ({ timestamp: r.timestamp, value: r.quantity })), HISTORY_CHART_MAX_POINTS),
+    market: downsampleSeries(market.map(r => ({ timestamp: r.timestamp, value: r.price })), HISTORY_CHART_MAX_POINTS),
+    restocks
+  };
+}
+
+// Resolves once a transaction has committed
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Loads the retention policy, clamped so analyzers always have a day of raw data
+function normalizeRetentionSettings(settings) {
+  const toDays = (value, fallback) => {
+    const days = Math.floor(Number(value));
+    return Number.isFinite(days) && days >= 0 ? days : fallback;
+  };
+  const rawDays = Math.max(1, toDays(settings?.rawDays, DEFAULT_RETENTION_SETTINGS.rawDays));
+  const fiveMinuteDays = Math.max(rawDays, toDays(settings?.fiveMinuteDays, DEFAULT_RETENTION_SETTINGS.fiveMinuteDays));
+  let hourlyDays = toDays(settings?.hourlyDays, DEFAULT_RETENTION_SETTINGS.hourlyDays);
+  if (hourlyDays !== 0) hourlyDays = Math.max(fiveMinuteDays, hourlyDays);
+  return { rawDays, fiveMinuteDays, hourlyDays };
+}
+
+// Rolls up stock_history rows into aggregates and drops what has aged out
+const historyCompactor = {
+  // Aggregates rows into one row per country/item/bucket keeping min, max and
+  // the last quantity. Rows may already be aggregates of a finer resolution.
+  rollup(rows, resolution) {
+    const buckets = new Map();
+    const sorted = [...rows].sort((a, b) => a.timestamp - b.timestamp);
+    for (const row of sorted) {
+      const bucket = Math.floor(row.timestamp / resolution) * resolution;
+      const key = `${row.country}|${row.item_id}|${bucket}`;
+      const min = row.min ?? row.quantity;
+      const max = row.max ?? row.quantity;
+      const samples = row.samples ?? 1;
+      const source = row.source || SNAPSHOT_SOURCES.YATA;
+      const existing = buckets.get(key);
+      if (!existing) {
+        buckets.set(key, {
+          country: row.country,
+          item_id: row.item_id,
+          timestamp: bucket,
+          quantity: row.quantity,
+          min,
+          max,
+          samples,
+          source,
+          resolution,
+          created_at: Date.now()
+        });
+        continue;
+      }
+      existing.samples += samples;
+      // Shop counts win over YATA ones in the same bucket, as in
+      // stockAnalyzer.preferShopSnapshots
+      const isShop = source === SNAPSHOT_SOURCES.SHOP;
+      if (existing.source === SNAPSHOT_SOURCES.SHOP && !isShop) continue;
+      if (isShop && existing.source !== SNAPSHOT_SOURCES.SHOP) {
+        Object.assign(existing, { quantity: row.quantity, min, max, source });
+        continue;
+      }
+      existing.min = Math.min(existing.min, min);
+      existing.max = Math.max(existing.max, max);
+      existing.quantity = row.quantity;
+    }
+    return Array.from(buckets.values());
+  },
+
+  // Compacts one time chunk: raw rows past the raw cutoff become 5-minute rows,
+  // 5-minute rows past their cutoff become hourly rows, expired hourly rows go.
+  // Existing aggregates in the chunk are merged so late rows (e.g. imports) are kept.
+  async compactChunk(db, start, end, cutoffs) {
+    const tx = db.transaction("stock_history", "readwrite");
+    const store = tx.objectStore("stock_history");
+    const rows = await requestToPromise(store.index("by_timestamp").getAll(IDBKeyRange.bound(start, end, false, true)));
+
+    const raw = rows.filter(r => !r.resolution && r.timestamp < cutoffs.raw);
+    const fiveMinute = rows.filter(r => r.resolution === HISTORY_RESOLUTIONS.fiveMinute);
+    const hourly = rows.filter(r => r.resolution === HISTORY_RESOLUTIONS.hourly);
+    const hasWork = raw.length > 0 ||
+      fiveMinute.some(r => r.timestamp < cutoffs.fiveMinute) ||
+      (cutoffs.hourly !== null && hourly.some(r => r.timestamp < cutoffs.hourly));
+    if (!hasWork) {
+      await transactionDone(tx);
+      return 0;
+    }
+
+    const fiveMinuteRows = this.rollup([...fiveMinute, ...raw], HISTORY_RESOLUTIONS.fiveMinute);
+    const keepFiveMinute = fiveMinuteRows.filter(r => r.timestamp >= cutoffs.fiveMinute);
+    let hourlyRows = this.rollup([...hourly, ...fiveMinuteRows.filter(r => r.timestamp < cutoffs.fiveMinute)], HISTORY_RESOLUTIONS.hourly);
+    if (cutoffs.hourly !== null) {
+      hourlyRows = hourlyRows.filter(r => r.timestamp >= cutoffs.hourly);
+    }
+
+    [...raw, ...fiveMinute, ...hourly].forEach(r => store.delete([r.timestamp, r.country, r.item_id]));
+    [...keepFiveMinute, ...hourlyRows].forEach(r => store.put(r));
+    await transactionDone(tx);
+
+    return raw.length + fiveMinute.length + hourly.length;
+  },
+
+  // Compacts the windows that aged past each cutoff since the previous run.
+  // Without a previous run, starts from the oldest row in the store.
+  async compact(db, settings, now = Math.floor(Date.now() / 1000), previousCutoffs = null) {
+    const { rawDays, fiveMinuteDays, hourlyDays } = normalizeRetentionSettings(settings);
+    const day = 24 * 60 * 60;
+    // Align cutoffs to bucket boundaries so a bucket is never split across passes
+    const cutoffs = {
+      raw: Math.floor((now - rawDays * day) / HISTORY_RESOLUTIONS.fiveMinute) * HISTORY_RESOLUTIONS.fiveMinute,
+      fiveMinute: Math.floor((now - fiveMinuteDays * day) / HISTORY_RESOLUTIONS.hourly) * HISTORY_RESOLUTIONS.hourly,
+      hourly: hourlyDays > 0 ? now - hourlyDays * day : null
+    };
+
+    let oldest;
+    const getOldest = async () => {
+      if (oldest === undefined) {
+        const cursor = await requestToPromise(
+          db.transaction("stock_history", "readonly").objectStore("stock_history").index("by_timestamp").openCursor()
+        );
+        oldest = cursor ? cursor.value.timestamp : null;
+      }
+      return oldest;
+    };
+
+    let processed = 0;
+    const chunk = HISTORY_RESOLUTIONS.hourly;
+    for (const tier of ["raw", "fiveMinute", "hourly"]) {
+      if (cutoffs[tier] === null) continue;
+      const from = previousCutoffs?.[tier] ?? await getOldest();
+      if (from === null) continue;
+      for (let start = Math.floor(from / chunk) * chunk; start < cutoffs[tier]; start += chunk) {
+        processed += await this.compactChunk(db, start, start + chunk, cutoffs);
+      }
+    }
+    return { processed, cutoffs };
+  }
+};
+
+// Runs the retention policy over stock_history with the saved settings,
+// remembering how far it got so the next run only handles newly aged rows
+async function compactHistory() {
+  try {
+    const { retentionSettings, retentionState } = await browser.storage.local.get(["retentionSettings", "retentionState"]);
+    const db = await openDatabase();
+    const { processed, cutoffs } = await historyCompactor.compact(db, retentionSettings, undefined, retentionState || null);
+    await browser.storage.local.set({ retentionState: cutoffs });
+    logger.info(`History compaction finished, ${processed} rows compacted or removed`);
+    return processed;
+  } catch (err) {
+    logger.error("History compaction failed:", err);
+    recordError(DIAGNOSTIC_SOURCES.DATABASE, err, "compactHistory");
+    throw err;
+  }
+}
+
+// Exports stock_history as CSV or JSON. Countries and items narrow the export;
+// market prices for the selected items are always included as 'MARKET' rows.
+async function exportHistory({ countries = null, itemIds = null, startTime = 0, endTime = null } = {}, format = "csv") {
+  const db = await openDatabase();
+  const end = endTime || Math.floor(Date.now() / 1000);
+  const tx = db.transaction(["stock_history", "market_prices"], "readonly");
+  const range = IDBKeyRange.bound(startTime, end);
+  const rows = await requestToPromise(tx.objectStore("stock_history").index("by_timestamp").getAll(range));
+  const prices = await requestToPromise(tx.objectStore("market_prices").index("by_timestamp").getAll(range));
+
+  const countrySet = countries && countries.length ? new Set(countries) : null;
+  const itemSet = itemIds && itemIds.length ? new Set(itemIds.map(Number)) : null;
+  const records = [
+    ...rows.filter(r => !countrySet || countrySet.has(r.country)),
+    ...prices.map(p => ({
+      timestamp: p.timestamp,
+      country: 'MARKET',
+      item_id: p.item_id,
+      quantity: p.price,
+      type: 'market_price',
+      listing_count: p.listing_count,
+      average_price: p.average_price,
+      method: p.method,
+      source: p.source,
+      created_at: p.created_at
+    }))
+  ].filter(r => !itemSet || itemSet.has(Number(r.item_id)));
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  return format === "json"
+    ? { filename: `torn-stock-history-${stamp}.json`, mimeType: "application/json", content: toJSON(records), count: records.length }
+    : { filename: `torn-stock-history-${stamp}.csv`, mimeType: "text/csv", content: toCSV(records), count: records.length };
+}
+
+// Imports CSV or JSON history, merging by the [timestamp, country, item_id] key
+// ('MARKET' rows go to market_prices by [timestamp, item_id]). Records that
+// already exist are left untouched, invalid ones are counted and skipped.
+async function importHistory(content, format = "csv") {
+  const parsed = format === "json" ? parseJSON(content) : parseCSV(content);
+  const records = parsed.map(validateRecord);
+  const valid = records.filter(Boolean);
+
+  const db = await openDatabase();
+  const tx = db.transaction(["stock_history", "market_prices"], "readwrite");
+  const historyStore = tx.objectStore("stock_history");
+  const priceStore = tx.objectStore("market_prices");
+  let added = 0;
+  let skipped = 0;
+  for (const record of valid) {
+    const request = record.country === 'MARKET'
+      ? priceStore.add({
+          item_id: record.item_id,
+          timestamp: record.timestamp,
+          price: record.quantity,
+          listing_count: record.listing_count ?? null,
+          average_price: record.average_price ?? null,
+          method: record.method ?? null,
+          source: record.source || "import",
+          created_at: record.created_at
+        })
+      : historyStore.add(record);
+    request.onsuccess = () => { added++; };
+    request.onerror = (event) => {
+      // A key collision means the record is already stored; keep the transaction alive
+      event.preventDefault();
+      event.stopPropagation();
+      skipped++;
+    };
+  }
+  await transactionDone(tx);
+
+  // Imported rows may be older than what compaction has already processed
+  await browser.storage.local.remove("retentionState");
+
+  const result = { added, skipped, invalid: records.length - valid.length };
+  logger.info(`History import finished: ${added} added, ${skipped} already present, ${result.invalid} invalid`);
+  return result;
+}
+
 async function getLatestSnapshot(db, country, item_id) {
   try {
     const tx = db.transaction("stock_history", "readonly");
     const store = tx.objectStore("stock_history");
-    const index = store.index("by_item");
+    const index = store.index("by_item_time");
     
     const range = IDBKeyRange.bound(
       [country, item_id, 0],
-      [country, item_id, Date.now()]
+      [country, item_id, Infinity]
     );
     
-    const cursor = await index.openCursor(range, 'prev');
+    const cursor = await requestToPromise(index.openCursor(range, 'prev'));
     return cursor ? cursor.value : null;
   } catch (err) {
     logger.error("Failed to fetch latest snapshot:", err);
@@ -688,23 +2095,62 @@ async function getLatestSnapshot(db, country, item_id) {
 // Export functions for testing
 export {
     calculateProfitPerMinute,
+    calculateCarryCapacity,
+    calculateTripProfit,
+    getFlightTime,
+    getTicketCost,
+    TRAVEL_METHODS,
+    isTrackedItem,
+    normalizeItemFilter,
     fetchAndLogStock,
     fetchMarketPriceForItem,
+    priceCalculator,
+    PRICING_STRATEGIES,
     saveStockSnapshot,
     // Export other utilities that might be needed for testing
     validator,
     apiValidator,
     stockAnalyzer,
+    departurePlanner,
+    priceWarmup,
+    warmMarketPrices,
     rateLimiter,
+    tornLimiter,
     openDatabase,
     getHistoricalData,
     getLatestSnapshot,
+    saveMarketPrice,
+    getMarketPriceHistory,
+    getLatestMarketPrice,
+    getItemHistory,
+    getPredictions,
+    recordShopStock,
+    countryCodeFromName,
+    whenReady,
+    validateApiKey,
+    saveKey,
+    unlockKey,
+    removeKey,
+    refreshStock,
+    getStatus,
+    getSettings,
+    getDiagnostics,
+    clearDiagnostics,
+    SNAPSHOT_SOURCES,
+    downsampleSeries,
+    historyCompactor,
+    compactHistory,
+    normalizeRetentionSettings,
+    exportHistory,
+    importHistory,
     initialize,
     // Export for manual refresh
     logger,
     manualRefreshMode,
     // Add this function to allow setting manualRefreshMode
-    setManualRefreshMode
+    setManualRefreshMode,
+    setItemFilter,
+    applySettings
 };
 
 // Add the function definition before the export block
@@ -712,6 +2158,12 @@ function setManualRefreshMode(value) {
     manualRefreshMode = value;
 }
 
+// Replaces the active item filter (used by tests and the settings listener)
+function setItemFilter(filter) {
+    itemFilter = normalizeItemFilter(filter);
+}
+
+
 // Listen for alarms to trigger periodic fetch
 if ((typeof browser !== 'undefined' && browser.alarms) || (typeof chrome !== 'undefined' && chrome.alarms)) {
     const alarms = (typeof browser !== 'undefined' && browser.alarms) ? browser.alarms : chrome.alarms;
@@ -722,17 +2174,59 @@ if ((typeof browser !== 'undefined' && browser.alarms) || (typeof chrome !== 'un
                 return;
             }
             manualRefreshMode = false; // ensure no price fetch
-            fetchAndLogStock().catch(err => logger.error("Periodic fetch failed:", err));
+            fetchAndLogStock()
+                // A few prices per cycle keep the price trends fed
+                .then(() => samplePrices())
+                .catch(err => logger.error("Periodic fetch failed:", err));
+        }
+        if (alarm.name === "compactHistory") {
+            compactHistory().catch(() => {});
+        }
+    });
+}
+
+// Re-run the stock fetch when trip settings or the item filter change so results reflect
+// them, and apply a new retention policy right away
+if (typeof browser !== 'undefined' && browser.storage && browser.storage.onChanged) {
+    browser.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        if (changes.itemFilter) {
+            setItemFilter(changes.itemFilter.newValue);
+        }
+        if (changes.settings) {
+            applySettings(changes.settings.newValue);
+            // Reload everything from the newly selected providers
+            const sources = value => JSON.stringify(normalizeSettings(value).sources);
+            if (apiKey && sources(changes.settings.oldValue) !== sources(changes.settings.newValue)) {
+                fetchInitialStock()
+                    .catch(err => logger.error("Refresh after data source change failed:", err));
+            }
+        }
+        if (changes.countryFilter) {
+            refreshBadge();
+        }
+        if (changes.tripSettings) {
+            // Depth-weighted prices depend on the carry capacity
+            marketPriceCache = {};
+        }
+        if ((changes.tripSettings || changes.itemFilter) && apiKey) {
+            fetchAndLogStock()
+                // Newly tracked items have no price yet; the warm-up only fetches unpriced or stale ones
+                .then(() => changes.itemFilter && warmMarketPrices())
+                .catch(err => logger.error("Refresh after settings change failed:", err));
+        }
+        if (changes.retentionSettings) {
+            compactHistory().catch(() => {});
         }
     });
 }
 
-// Only initialize if we're in a browser environment
+// Only initialize if we're in a browser environment. The message listener is
+// registered first, like the storage and alarm listeners above: a message that
+// wakes the background is lost if nothing is listening yet.
 if (typeof browser !== 'undefined') {
-  (async () => {
-    await initialize();
-    initializeBrowserListeners(initialize);
-  })().catch(err => {
+  initializeBrowserListeners(initialize);
+  initialize().catch(err => {
     console.error('Failed to initialize:', err);
   });
 }
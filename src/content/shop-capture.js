@@ -0,0 +1,105 @@
+// Reads the exact stock quantities from Torn's abroad shop page and sends them
+// to the background ("shop-stock"), which stores them as shop snapshots.
+
+// Torn's abroad shop markup; kept together so it is easy to update
+const SHOP_SELECTORS = {
+    market: ".travel-agency-market",
+    row: "li",
+    stock: ".stck-amount",
+    image: "img[src*='/images/items/']",
+    heading: ".content-title h4"
+};
+const CAPTURE_TIMEOUT = 15000;
+// Quantities change as players buy; batch bursts of DOM updates into one send
+const CAPTURE_DEBOUNCE = 1000;
+
+const ShopCapture = {
+    lastSent: null,
+    timer: null,
+
+    // Item ID from the row's image URL (/images/items/<id>/...) or a data attribute
+    parseItemId(row) {
+        const image = row.querySelector(SHOP_SELECTORS.image);
+        const match = image && image.getAttribute("src").match(/\/images\/items\/(\d+)\//);
+        if (match) return Number(match[1]);
+        const tagged = row.querySelector("[data-id], [itemid]");
+        return tagged ? Number(tagged.getAttribute("data-id") || tagged.getAttribute("itemid")) : null;
+    },
+
+    parseQuantity(text) {
+        const digits = (text || "").replace(/[^\d]/g, "");
+        return digits ? Number(digits) : null;
+    },
+
+    // Returns { country, items: [{ id, quantity }] } or null when the page has no shop
+    parse(market) {
+        const heading = document.querySelector(SHOP_SELECTORS.heading);
+        const country = heading ? heading.textContent.trim() : "";
+        const items = [];
+        market.querySelectorAll(SHOP_SELECTORS.row).forEach(row => {
+            const stock = row.querySelector(SHOP_SELECTORS.stock);
+            if (!stock) return;
+            const id = this.parseItemId(row);
+            const quantity = this.parseQuantity(stock.textContent);
+            if (!id || quantity === null) return;
+            items.push({ id, quantity });
+        });
+        return country && items.length ? { country, items } : null;
+    },
+
+    async send(market) {
+        const data = this.parse(market);
+        if (!data) return;
+        // Only send when something changed since the last capture
+        const signature = JSON.stringify(data);
+        if (signature === this.lastSent) return;
+        this.lastSent = signature;
+
+        try {
+            const reply = await browser.runtime.sendMessage({
+                type: "shop-stock",
+                country: data.country,
+                items: data.items,
+                timestamp: Math.floor(Date.now() / 1000)
+            });
+            if (reply && !reply.ok) throw new Error(reply.error.message);
+        } catch (err) {
+            console.error("[Foreign Stock Predictor] Failed to send shop stock:", err);
+        }
+    },
+
+    // Resolves with the shop container once Torn has rendered it, or null
+    waitForMarket() {
+        const existing = document.querySelector(SHOP_SELECTORS.market);
+        if (existing) return Promise.resolve(existing);
+
+        return new Promise(resolve => {
+            const observer = new MutationObserver(() => {
+                const market = document.querySelector(SHOP_SELECTORS.market);
+                if (market) {
+                    observer.disconnect();
+                    clearTimeout(timeout);
+                    resolve(market);
+                }
+            });
+            const timeout = setTimeout(() => {
+                observer.disconnect();
+                resolve(null);
+            }, CAPTURE_TIMEOUT);
+            observer.observe(document.body, { childList: true, subtree: true });
+        });
+    },
+
+    async init() {
+        const market = await this.waitForMarket();
+        if (!market) return;
+
+        await this.send(market);
+        new MutationObserver(() => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.send(market), CAPTURE_DEBOUNCE);
+        }).observe(market, { childList: true, subtree: true, characterData: true });
+    }
+};
+
+ShopCapture.init();
@@ -0,0 +1,175 @@
+// Shows the extension's predictions on Torn's travel agency and abroad shop pages.
+// Everything comes from the background ("get-predictions"); this script makes no API calls.
+
+// Where to attach on each page. Torn renders these pages client-side, so the
+// anchors may appear some time after the script runs.
+const PAGE_ANCHORS = {
+    travel: [".travel-agency", "#travel-agency", ".content-wrapper"],
+    shop: [".travel-agency-market", ".foreign-stock"]
+};
+const ANCHOR_TIMEOUT = 15000;
+const REFRESH_INTERVAL = 60 * 1000;
+
+const TravelOverlay = {
+    panel: null,
+
+    // "travel" on the travel agency, "shop" while abroad, otherwise null
+    detectPage() {
+        if (location.pathname.startsWith("/travelagency.php")) return "travel";
+        if (location.pathname === "/index.php") {
+            return document.querySelector(PAGE_ANCHORS.shop.join(",")) ? "shop" : null;
+        }
+        return null;
+    },
+
+    // Resolves with the first matching element, or null once the timeout passes
+    waitForElement(selectors, timeout = ANCHOR_TIMEOUT) {
+        const find = () => selectors.map(s => document.querySelector(s)).find(Boolean) || null;
+        const found = find();
+        if (found) return Promise.resolve(found);
+
+        return new Promise(resolve => {
+            const observer = new MutationObserver(() => {
+                const el = find();
+                if (el) {
+                    observer.disconnect();
+                    clearTimeout(timer);
+                    resolve(el);
+                }
+            });
+            const timer = setTimeout(() => {
+                observer.disconnect();
+                resolve(null);
+            }, timeout);
+            observer.observe(document.body, { childList: true, subtree: true });
+        });
+    },
+
+    // The country the player is in, matched by name against the page heading
+    detectCountry(predictions) {
+        const heading = document.querySelector(".content-title h4, h4#skip-to-content");
+        const text = heading ? heading.textContent.toLowerCase() : "";
+        return Object.keys(predictions).find(code => text.includes(predictions[code].name.toLowerCase())) || null;
+    },
+
+    formatCurrency(amount) {
+        return `$${Math.round(amount || 0).toLocaleString()}`;
+    },
+
+    formatArrival(item) {
+        if (item.projected_quantity === null) return "?";
+        return item.empty_on_arrival ? "empty" : `~${item.projected_quantity.toLocaleString()}`;
+    },
+
+    formatRestock(item) {
+        if (!item.next_restock) return "unknown";
+        const minutes = Math.max(0, Math.round((item.next_restock - Date.now() / 1000) / 60));
+        return `~${minutes} min`;
+    },
+
+    createCell(tag, text, className) {
+        const cell = document.createElement(tag);
+        cell.textContent = text;
+        if (className) cell.className = className;
+        return cell;
+    },
+
+    // One table per destination: profit/trip, stock at arrival and next restock.
+    // Built with textContent only, since this runs inside Torn's page.
+    renderPanel(anchor, predictions, countries, maxItems) {
+        if (!this.panel) {
+            this.panel = document.createElement("div");
+            this.panel.className = "tsp-overlay";
+            anchor.prepend(this.panel);
+        }
+        this.panel.textContent = "";
+        this.panel.appendChild(this.createCell("div", "Foreign Stock Predictor", "tsp-title"));
+
+        if (countries.length === 0) {
+            this.panel.appendChild(this.createCell("div", "No predictions yet. Open the extension popup to set up an API key.", "tsp-empty"));
+            return;
+        }
+
+        countries.forEach(code => {
+            const { name, items } = predictions[code];
+            const flightTime = items.length ? items[0].flight_time : null;
+            this.panel.appendChild(this.createCell("div", flightTime ? `${name} (${flightTime} min)` : name, "tsp-country"));
+
+            const table = document.createElement("table");
+            const header = document.createElement("tr");
+            ["Item", "Profit/trip", "At arrival", "Next restock"].forEach(label => header.appendChild(this.createCell("th", label)));
+            table.appendChild(header);
+
+            items.slice(0, maxItems).forEach(item => {
+                const row = document.createElement("tr");
+                if (item.empty_on_arrival) row.className = "tsp-empty-on-arrival";
+                row.appendChild(this.createCell("td", item.name));
+                row.appendChild(this.createCell("td", this.formatCurrency(item.profit_per_trip)));
+                row.appendChild(this.createCell("td", this.formatArrival(item)));
+                const restock = this.createCell("td", this.formatRestock(item));
+                if (item.restock_confidence) restock.title = `Confidence: ${item.restock_confidence}`;
+                row.appendChild(restock);
+                table.appendChild(row);
+            });
+            this.panel.appendChild(table);
+        });
+    },
+
+    // Adds a short note next to each item name in the abroad shop list
+    annotateShopItems(anchor, items) {
+        anchor.querySelectorAll(".tsp-item-note").forEach(note => note.remove());
+        const byName = new Map(items.map(item => [item.name.toLowerCase(), item]));
+        anchor.querySelectorAll("span, div, a").forEach(el => {
+            if (el.children.length > 0 || el.closest(".tsp-overlay")) return;
+            const item = byName.get(el.textContent.trim().toLowerCase());
+            if (!item) return;
+            const note = this.createCell("span", ` ${this.formatCurrency(item.profit_per_trip)}/trip`, "tsp-item-note");
+            note.title = `Next restock: ${this.formatRestock(item)}`;
+            el.appendChild(note);
+        });
+    },
+
+    async update(page, anchor) {
+        let predictions;
+        try {
+            const reply = await browser.runtime.sendMessage({ type: "get-predictions" });
+            if (!reply || !reply.ok) throw new Error(reply ? reply.error.message : "No reply");
+            predictions = reply.data;
+        } catch (err) {
+            console.error("[Foreign Stock Predictor] Failed to load predictions:", err);
+            return;
+        }
+        predictions = predictions || {};
+
+        if (page === "shop") {
+            const country = this.detectCountry(predictions);
+            const countries = country ? [country] : Object.keys(predictions).sort();
+            this.renderPanel(anchor, predictions, countries, country ? Infinity : 3);
+            if (country) this.annotateShopItems(anchor, predictions[country].items);
+        } else {
+            // Best few items per destination, most profitable destination first
+            const countries = Object.keys(predictions).sort((a, b) => {
+                const best = code => (predictions[code].items[0] ? predictions[code].items[0].trip_profit_per_minute : 0);
+                return best(b) - best(a);
+            });
+            this.renderPanel(anchor, predictions, countries, 3);
+        }
+    },
+
+    async init() {
+        let page = this.detectPage();
+        if (!page && location.pathname === "/index.php") {
+            // The abroad shop may still be rendering
+            page = (await this.waitForElement(PAGE_ANCHORS.shop)) ? "shop" : null;
+        }
+        if (!page) return;
+
+        const anchor = await this.waitForElement(PAGE_ANCHORS[page]);
+        if (!anchor) return;
+
+        await this.update(page, anchor);
+        setInterval(() => this.update(page, anchor), REFRESH_INTERVAL);
+    }
+};
+
+TravelOverlay.init();
@@ -0,0 +1,102 @@
+// Options page: edits the versioned settings object. The background applies
+// saved settings as soon as they change in storage.
+import { DEFAULT_SETTINGS, SETTINGS_LIMITS, STOCK_SOURCES, PRICE_SOURCES, loadSettings, saveSettings, validateSettings } from '../background/settings.js';
+
+document.addEventListener("DOMContentLoaded", async () => {
+    const form = document.getElementById("settings-form");
+    const errorList = document.getElementById("settings-errors");
+    const status = document.getElementById("settings-status");
+    const resetButton = document.getElementById("reset-defaults");
+
+    // Inputs are named "<section>.<setting>"
+    const fields = Array.from(form.querySelectorAll("[name]"));
+
+    fields.forEach(field => {
+        const [section, name] = field.name.split(".");
+        const limits = SETTINGS_LIMITS[section] && SETTINGS_LIMITS[section][name];
+        if (limits) {
+            field.min = limits[0];
+            field.max = limits[1];
+        }
+    });
+
+    function fillForm(settings) {
+        fields.forEach(field => {
+            const [section, name] = field.name.split(".");
+            const value = settings[section][name];
+            if (field.type === "checkbox") {
+                field.checked = !!value;
+            } else {
+                field.value = value;
+            }
+        });
+    }
+
+    function readForm() {
+        const settings = { version: DEFAULT_SETTINGS.version, collection: {}, market: {}, badge: {}, sources: {} };
+        fields.forEach(field => {
+            const [section, name] = field.name.split(".");
+            if (field.type === "checkbox") {
+                settings[section][name] = field.checked;
+            } else if (field.type === "number") {
+                settings[section][name] = field.value === "" ? NaN : Number(field.value);
+            } else {
+                settings[section][name] = field.value;
+            }
+        });
+        return settings;
+    }
+
+    function showMessages(errors, message = "") {
+        errorList.innerHTML = "";
+        errors.forEach(error => {
+            const li = document.createElement("li");
+            li.textContent = error;
+            errorList.appendChild(li);
+        });
+        status.textContent = message;
+    }
+
+    // Hosts of the selected mirrors, which need a host permission
+    function mirrorOrigins(settings) {
+        const urls = [];
+        if (settings.sources.stock === STOCK_SOURCES.MIRROR) urls.push(settings.sources.stockMirrorUrl);
+        if (settings.sources.price === PRICE_SOURCES.MIRROR) urls.push(settings.sources.priceMirrorUrl);
+        return urls.map(url => `${new URL(url).origin}/*`);
+    }
+
+    async function save(settings) {
+        const errors = validateSettings(settings);
+        if (errors.length) {
+            showMessages(errors);
+            return;
+        }
+        try {
+            // Requested before anything else is awaited, while the click still counts as a user action
+            const origins = mirrorOrigins(settings);
+            if (origins.length && !(await browser.permissions.request({ origins }))) {
+                showMessages(["Access to the mirror was not granted; settings not saved."]);
+                return;
+            }
+            fillForm(await saveSettings(settings));
+            showMessages([], "Settings saved.");
+        } catch (e) {
+            showMessages([`Failed to save settings: ${e.message}`]);
+            console.error("Failed to save settings", e);
+        }
+    }
+
+    try {
+        fillForm(await loadSettings());
+    } catch (e) {
+        fillForm(DEFAULT_SETTINGS);
+        showMessages([`Failed to load settings: ${e.message}`]);
+        console.error("Failed to load settings", e);
+    }
+
+    form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        save(readForm());
+    });
+    resetButton.addEventListener("click", () => save(DEFAULT_SETTINGS));
+});
@@ -0,0 +1,114 @@
+// Minimal SVG line chart for item history; drawn locally so the popup works offline
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+export const HistoryChart = {
+    width: 440,
+    height: 200,
+    padding: { top: 12, right: 48, bottom: 24, left: 40 },
+
+    createElement(name, attrs = {}) {
+        const el = document.createElementNS(SVG_NS, name);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        return el;
+    },
+
+    // Maps a series of { timestamp, value } points onto a polyline "points" string
+    toPoints(series, xScale, yScale) {
+        return series.map(p => `${xScale(p.timestamp).toFixed(1)},${yScale(p.value).toFixed(1)}`).join(" ");
+    },
+
+    formatTime(timestamp, span) {
+        const date = new Date(timestamp * 1000);
+        const time = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+        return span > 24 * 60 * 60 ? `${date.toLocaleDateString([], { month: "short", day: "numeric" })} ${time}` : time;
+    },
+
+    // Renders quantity (left axis) and market price (right axis) with restock
+    // events as solid markers and the predicted next restock as a dashed line
+    render(svg, history, nextRestock = null) {
+        const { width, height, padding } = this;
+        svg.innerHTML = "";
+        svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+        if (!history.stock.length && !history.market.length) {
+            const empty = this.createElement("text", { x: width / 2, y: height / 2, "text-anchor": "middle", class: "chart-empty" });
+            empty.textContent = "No history recorded for this window yet";
+            svg.appendChild(empty);
+            return;
+        }
+
+        // Extend the time axis to show a predicted restock shortly after the window
+        const start = history.startTime;
+        let end = history.endTime;
+        const span = end - start;
+        if (nextRestock && nextRestock > end && nextRestock <= end + span * 0.5) {
+            end = nextRestock;
+        }
+
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const xScale = t => padding.left + ((t - start) / (end - start)) * plotWidth;
+
+        const maxQuantity = Math.max(1, ...history.stock.map(p => p.value));
+        const qtyScale = v => padding.top + plotHeight - (v / maxQuantity) * plotHeight;
+
+        const prices = history.market.map(p => p.value);
+        const minPrice = prices.length ? Math.min(...prices) : 0;
+        const maxPrice = prices.length ? Math.max(...prices) : 1;
+        const priceRange = maxPrice - minPrice || 1;
+        const priceScale = v => padding.top + plotHeight - ((v - minPrice) / priceRange) * plotHeight;
+
+        // Axes
+        svg.appendChild(this.createElement("line", {
+            x1: padding.left, y1: padding.top + plotHeight, x2: padding.left + plotWidth, y2: padding.top + plotHeight, class: "chart-axis"
+        }));
+        const labels = [
+            { x: padding.left - 4, y: padding.top + 8, anchor: "end", text: maxQuantity.toLocaleString() },
+            { x: padding.left - 4, y: padding.top + plotHeight, anchor: "end", text: "0" },
+            { x: padding.left, y: height - 6, anchor: "start", text: this.formatTime(start, span) },
+            { x: padding.left + plotWidth, y: height - 6, anchor: "end", text: this.formatTime(end, span) }
+        ];
+        if (prices.length) {
+            labels.push(
+                { x: padding.left + plotWidth + 4, y: padding.top + 8, anchor: "start", text: `$${Math.round(maxPrice).toLocaleString()}` },
+                { x: padding.left + plotWidth + 4, y: padding.top + plotHeight, anchor: "start", text: `$${Math.round(minPrice).toLocaleString()}` }
+            );
+        }
+        labels.forEach(({ x, y, anchor, text }) => {
+            const label = this.createElement("text", { x, y, "text-anchor": anchor, class: "chart-label" });
+            label.textContent = text;
+            svg.appendChild(label);
+        });
+
+        // Restock events
+        history.restocks.forEach(restock => {
+            const x = xScale(restock.timestamp);
+            const marker = this.createElement("line", {
+                x1: x, y1: padding.top, x2: x, y2: padding.top + plotHeight, class: "chart-restock"
+            });
+            const title = this.createElement("title");
+            title.textContent = `Restock +${restock.size.toLocaleString()}`;
+            marker.appendChild(title);
+            svg.appendChild(marker);
+        });
+
+        // Predicted next restock
+        if (nextRestock && nextRestock >= start && nextRestock <= end) {
+            const x = xScale(nextRestock);
+            svg.appendChild(this.createElement("line", {
+                x1: x, y1: padding.top, x2: x, y2: padding.top + plotHeight, class: "chart-prediction"
+            }));
+        }
+
+        if (history.market.length) {
+            svg.appendChild(this.createElement("polyline", {
+                points: this.toPoints(history.market, xScale, priceScale), class: "chart-price"
+            }));
+        }
+        if (history.stock.length) {
+            svg.appendChild(this.createElement("polyline", {
+                points: this.toPoints(history.stock, xScale, qtyScale), class: "chart-quantity"
+            }));
+        }
+    }
+};
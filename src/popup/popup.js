@@ -1,3 +1,6 @@
+import { MESSAGE_TYPES } from "../background/messages.js";
+import { HistoryChart } from "./history-chart.js";
+
 // UI State Management
 const UIState = {
     setLoading(isLoading) {
@@ -22,6 +25,22 @@ const UIState = {
     }
 };
 
+// Sends a request to the background and unwraps its { ok, data | error }
+// reply, rethrowing a failure as an Error
+async function sendRequest(type, payload = {}) {
+    const reply = await browser.runtime.sendMessage({ type, ...payload });
+    if (!reply || typeof reply.ok !== "boolean") {
+        throw new Error(`No reply to ${type}`);
+    }
+    if (!reply.ok) {
+        const error = new Error(reply.error.message);
+        error.name = reply.error.name;
+        error.code = reply.error.code;
+        throw error;
+    }
+    return reply.data;
+}
+
 // Utility functions for data formatting
 const formatUtils = {
     formatCurrency(amount) {
@@ -33,11 +52,137 @@ const formatUtils = {
         }).format(amount);
     },
     
+    formatPercent(value) {
+        if (typeof value !== 'number') return "n/a";
+        return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+    },
+
+    // One-line price trend summary, e.g. for a tooltip
+    formatPriceTrend(trend) {
+        if (!trend) return "Price trend: not enough history";
+        const position = trend.aboveAverage ? "above" : "below";
+        return `24h: ${this.formatPercent(trend.change24h)}, 7d: ${this.formatPercent(trend.change7d)}, `
+            + `volatility ${trend.volatility.toFixed(1)}%, ${position} 24h average of ${this.formatCurrency(trend.movingAverage)}`;
+    },
+
     formatTimeAgo(timestamp) {
         const now = Math.floor(Date.now() / 1000);
         const minutesAgo = Math.floor((now - timestamp) / 60);
         return `${minutesAgo} min${minutesAgo !== 1 ? 's' : ''} ago`;
+    },
+
+    // Compact age for the country filters, e.g. "45s", "12m", "3h"
+    formatAge(timestamp) {
+        const seconds = Math.max(0, Math.floor(Date.now() / 1000) - timestamp);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+        return `${Math.floor(seconds / 3600)}h`;
+    },
+
+    formatBytes(bytes) {
+        if (typeof bytes !== 'number') return "unknown";
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    formatClock(timestamp) {
+        return new Date(timestamp * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    },
+
+    formatLanding(item) {
+        if (typeof item.projected_quantity !== 'number') return "Landing: unknown";
+        if (item.empty_on_arrival) return "Landing: likely empty";
+        return `Landing: ~${item.projected_quantity.toLocaleString()}`;
+    },
+
+    formatRestock(restock) {
+        return `Restock: ${this.formatRestockIn(restock)}`;
+    },
+
+    // Time until the predicted restock, e.g. "~12 min (±3)"
+    formatRestockIn(restock) {
+        if (!restock || !restock.nextRestock) return "unknown";
+        if (restock.overdue) return "overdue";
+        const now = Math.floor(Date.now() / 1000);
+        const minutes = Math.max(0, Math.round((restock.nextRestock - now) / 60));
+        const spread = Math.round((restock.latest - restock.earliest) / 120);
+        return `~${minutes} min${spread > 0 ? ` (±${spread})` : ''}`;
+    }
+};
+
+// Items saved before trip profits existed fall back to per-unit profit
+function tripProfitPerMinute(item) {
+    return typeof item.trip_profit_per_minute === "number" ? item.trip_profit_per_minute : item.profit_per_minute;
+}
+
+// Sortable columns of the item table; `value` is the sort key for an item and
+// `dir` the direction used when the column is first selected
+const TABLE_COLUMNS = [
+    { key: "name", label: "Item", dir: "asc", value: item => item.name.toLowerCase() },
+    { key: "quantity", label: "Qty", dir: "desc", value: item => item.quantity },
+    { key: "cost", label: "Buy", dir: "asc", value: item => item.cost },
+    { key: "market_price", label: "Market", dir: "desc", value: item => item.market_price },
+    { key: "flight_time", label: "Flight", dir: "asc", value: item => item.flight_time },
+    { key: "profit", label: "Profit/Min", dir: "desc", value: item => tripProfitPerMinute(item) },
+    {
+        key: "restock", label: "Restock", dir: "asc",
+        value: item => (item.restock && item.restock.nextRestock && !item.restock.overdue ? item.restock.nextRestock : Infinity)
     }
+];
+const DEFAULT_TABLE_STATE = { sortKey: "profit", sortDir: "desc", search: "", minProfit: 0 };
+
+// Item types that can be bought abroad, offered as item filter toggles
+const ITEM_TYPES = [
+    "Plushie", "Flower", "Drug", "Temporary", "Alcohol", "Melee", "Primary",
+    "Secondary", "Defensive", "Clothing", "Medical", "Enhancer", "Artifact", "Other"
+];
+const DEFAULT_ITEM_TYPES = ["Plushie", "Flower"];
+
+// Short labels for the pricing strategy behind a market price; top-listings
+// is labelled by priceMethodLabel with the number of listings averaged
+const PRICE_METHOD_LABELS = {
+    "lowest": "lowest",
+    "depth-weighted": "depth",
+    "median": "median",
+    "torn-average": "Torn avg"
+};
+
+// How often the Torn API budget shown under the refresh button is updated (ms)
+const BUDGET_REFRESH_INTERVAL = 5000;
+
+// Mirrors the background's default settings.collection.staleMinutes
+const DEFAULT_STALE_MINUTES = 30;
+
+// Mirrors the background's default settings.market.listingSampleSize
+const DEFAULT_LISTING_SAMPLE_SIZE = 5;
+
+function priceMethodLabel(method, listingSampleSize = DEFAULT_LISTING_SAMPLE_SIZE) {
+    if (method === "top-listings") return `top ${listingSampleSize}`;
+    return PRICE_METHOD_LABELS[method] || null;
+}
+
+// When a country's stock was last updated: its newest item timestamp
+function countryUpdatedAt(items) {
+    return items.reduce((latest, item) => Math.max(latest, item.timestamp || 0), 0) || null;
+}
+
+// Mirrors the background's default retention policy (days)
+const DEFAULT_RETENTION = { rawDays: 3, fiveMinuteDays: 30, hourlyDays: 0 };
+
+// Data sources listed in the diagnostics panel
+const DIAGNOSTIC_SOURCE_LABELS = {
+    yata: "YATA",
+    torn: "Torn API",
+    database: "Database",
+    background: "Background"
+};
+
+// Labels for notification triggers; "{n}" is replaced by the threshold
+const ALERT_TRIGGER_LABELS = {
+    "restocked": "restocked",
+    "quantity-above": "quantity above {n}",
+    "restock-soon": "restock within {n} min",
+    "profit-above": "profit above ${n}/min"
 };
 
 // Wait for the DOM to be fully loaded before running UI setup and logic
@@ -45,16 +190,73 @@ document.addEventListener("DOMContentLoaded", async () => {
     let stockData = null;
     let countryFilter = null;
     let lastSeenVersion = null;
+    let detailItem = null;
+    let detailHours = 24;
+    let subscriptions = [];
+    let departurePlan = [];
+    let tableState = { ...DEFAULT_TABLE_STATE };
+    let staleMinutes = DEFAULT_STALE_MINUTES;
+    let listingSampleSize = DEFAULT_LISTING_SAMPLE_SIZE;
 
     const elements = {
         container: document.getElementById("content"),
         apiKeyInput: document.getElementById("apikey"),
+        revealKey: document.getElementById("reveal-key"),
+        keyPassphrase: document.getElementById("key-passphrase"),
         submitKey: document.getElementById("submit-key"),
         keyStatus: document.getElementById("key-status"),
+        keyWarning: document.getElementById("key-warning"),
+        unlockForm: document.getElementById("unlock-form"),
+        unlockPassphrase: document.getElementById("unlock-passphrase"),
+        unlockKey: document.getElementById("unlock-key"),
+        unlockStatus: document.getElementById("unlock-status"),
         resetKey: document.getElementById("reset-key"),
+        openOptions: document.getElementById("open-options"),
         filterContainer: document.getElementById("filter"),
+        itemSearch: document.getElementById("item-search"),
+        minProfitInput: document.getElementById("min-profit"),
         configForm: document.querySelector(".config-form"),
-        refreshButton: document.getElementById("refresh")
+        refreshButton: document.getElementById("refresh"),
+        apiBudget: document.getElementById("api-budget"),
+        priceWarmup: document.getElementById("price-warmup"),
+        travelMethodSelect: document.getElementById("travel-method"),
+        suitcaseSelect: document.getElementById("suitcase"),
+        airstripCheckbox: document.getElementById("airstrip"),
+        jobPerkInput: document.getElementById("job-perk"),
+        itemTypesContainer: document.getElementById("item-types"),
+        itemIdsInput: document.getElementById("item-ids"),
+        detail: document.getElementById("detail"),
+        detailTitle: document.getElementById("detail-title"),
+        detailClose: document.getElementById("detail-close"),
+        detailRefresh: document.getElementById("detail-refresh"),
+        detailWindows: document.getElementById("detail-windows"),
+        detailChart: document.getElementById("detail-chart"),
+        detailSummary: document.getElementById("detail-summary"),
+        alertCountry: document.getElementById("alert-country"),
+        alertItem: document.getElementById("alert-item"),
+        alertTrigger: document.getElementById("alert-trigger"),
+        alertThreshold: document.getElementById("alert-threshold"),
+        alertAdd: document.getElementById("alert-add"),
+        alertList: document.getElementById("alert-list"),
+        plannerList: document.getElementById("planner-list"),
+        retentionRaw: document.getElementById("retention-raw"),
+        retentionFiveMinute: document.getElementById("retention-five-minute"),
+        retentionHourly: document.getElementById("retention-hourly"),
+        exportCountry: document.getElementById("export-country"),
+        exportItems: document.getElementById("export-items"),
+        exportFrom: document.getElementById("export-from"),
+        exportTo: document.getElementById("export-to"),
+        exportFormat: document.getElementById("export-format"),
+        exportButton: document.getElementById("export-history"),
+        importFile: document.getElementById("import-file"),
+        importButton: document.getElementById("import-history"),
+        historyIoStatus: document.getElementById("history-io-status"),
+        diagnostics: document.getElementById("diagnostics"),
+        diagnosticsSummary: document.getElementById("diagnostics-summary"),
+        diagnosticsEvents: document.getElementById("diagnostics-events"),
+        diagnosticsStatus: document.getElementById("diagnostics-status"),
+        copyReport: document.getElementById("copy-report"),
+        clearDiagnostics: document.getElementById("clear-diagnostics")
     };
 
     // Validate all required elements exist
@@ -66,28 +268,59 @@ document.addEventListener("DOMContentLoaded", async () => {
         try {
             UIState.setLoading(true);
             const storageData = await Promise.race([
-                browser.storage.local.get(["stockData", "stockDataVersion", "tornApiKey", "countryFilter"]),
+                browser.storage.local.get(["stockData", "stockDataVersion", "tornApiKey", "encryptedApiKey", "keyAccess", "countryFilter", "tripSettings", "itemFilter", "notificationSubscriptions", "departurePlan", "retentionSettings", "tableState", "settings", "priceWarmup"]),
                 new Promise((_, reject) => setTimeout(() => reject(new Error("Storage timeout")), 5000))
             ]);
-            const { stockData: newStockData, stockDataVersion, tornApiKey, countryFilter: newCountryFilter } = storageData;
+            const { stockData: newStockData, stockDataVersion, tornApiKey, encryptedApiKey, keyAccess, countryFilter: newCountryFilter, tripSettings, itemFilter, notificationSubscriptions, departurePlan: newDeparturePlan, retentionSettings, tableState: savedTableState, settings, priceWarmup } = storageData;
+
+            // Reflect the saved trip settings in the controls
+            const trip = tripSettings || {};
+            elements.travelMethodSelect.value = trip.travelMethod || "standard";
+            elements.suitcaseSelect.value = trip.suitcase || "none";
+            elements.airstripCheckbox.checked = !!trip.airstrip;
+            elements.jobPerkInput.value = trip.jobPerk || 0;
+            if (force) {
+                renderItemFilter(itemFilter);
+                tableState = { ...DEFAULT_TABLE_STATE, ...(savedTableState || {}) };
+                elements.itemSearch.value = tableState.search;
+                elements.minProfitInput.value = tableState.minProfit || "";
+            }
+
+            const retention = { ...DEFAULT_RETENTION, ...(retentionSettings || {}) };
+            elements.retentionRaw.value = retention.rawDays;
+            elements.retentionFiveMinute.value = retention.fiveMinuteDays;
+            elements.retentionHourly.value = retention.hourlyDays;
+            subscriptions = notificationSubscriptions || [];
+            staleMinutes = (settings && settings.collection && settings.collection.staleMinutes) || DEFAULT_STALE_MINUTES;
+            listingSampleSize = (settings && settings.market && settings.market.listingSampleSize) || DEFAULT_LISTING_SAMPLE_SIZE;
+            // Market prices fetched in the background after startup
+            elements.priceWarmup.textContent = priceWarmup && !priceWarmup.finishedAt && priceWarmup.total
+                ? `Loading market prices: ${priceWarmup.done} of ${priceWarmup.total}`
+                : "";
+            renderAlerts();
 
-            // If an API key was previously saved, populate
+            // If an API key was previously saved, populate (an encrypted one stays hidden)
             if (tornApiKey) elements.apiKeyInput.value = tornApiKey;
 
             // If we already have a valid key, hide the API key form
-            if (tornApiKey) {
+            if (tornApiKey || encryptedApiKey) {
                 elements.configForm.style.display = "none";
-                elements.keyStatus.textContent = "API key is saved.";
+                elements.keyStatus.textContent = encryptedApiKey
+                    ? "API key is saved, encrypted with your passphrase."
+                    : "API key is saved, unencrypted.";
             } else {
                 elements.configForm.style.display = "flex";
                 elements.keyStatus.textContent = "API key not validated yet.";
             }
+            elements.keyWarning.textContent = (keyAccess && keyAccess.warning) || "";
+            renderKeyLock(!!encryptedApiKey);
 
             // Only update and render if version changed or force is true
             if (force || stockDataVersion !== lastSeenVersion) {
                 lastSeenVersion = stockDataVersion;
                 stockData = newStockData;
                 countryFilter = newCountryFilter;
+                departurePlan = newDeparturePlan || [];
 
                 // If no stock data is available, show a placeholder message
                 if (!stockData || Object.keys(stockData).length === 0) {
@@ -117,6 +350,88 @@ document.addEventListener("DOMContentLoaded", async () => {
         }
     }
 
+    // Persist the table's sort order and filters
+    async function updateTableState() {
+        try {
+            await browser.storage.local.set({ tableState });
+        } catch (e) {
+            UIState.showError("Failed to save table settings: " + (e && e.message ? e.message : e));
+            console.error("Failed to save table settings", e);
+        }
+    }
+
+    // Merge a change into the saved trip settings; the background re-ranks on change
+    async function updateTripSettings(changes) {
+        try {
+            const { tripSettings } = await browser.storage.local.get(["tripSettings"]);
+            await browser.storage.local.set({
+                tripSettings: { ...(tripSettings || {}), ...changes }
+            });
+        } catch (e) {
+            UIState.showError("Failed to save trip settings: " + (e && e.message ? e.message : e));
+            console.error("Failed to save trip settings", e);
+        }
+    }
+
+    // Persist the tracked item types and IDs; the background refetches on change
+    async function updateItemFilter() {
+        try {
+            const types = Array.from(elements.itemTypesContainer.querySelectorAll("input:checked"))
+                .map(cb => cb.value);
+            const itemIds = elements.itemIdsInput.value
+                .split(/[\s,]+/)
+                .map(Number)
+                .filter(id => Number.isInteger(id) && id > 0);
+            await browser.storage.local.set({ itemFilter: { types, itemIds } });
+        } catch (e) {
+            UIState.showError("Failed to save item filter: " + (e && e.message ? e.message : e));
+            console.error("Failed to save item filter", e);
+        }
+    }
+
+    // Persist the retention policy; the background re-validates and compacts on change
+    async function updateRetentionSettings() {
+        try {
+            await browser.storage.local.set({
+                retentionSettings: {
+                    rawDays: Math.max(1, parseInt(elements.retentionRaw.value, 10) || DEFAULT_RETENTION.rawDays),
+                    fiveMinuteDays: Math.max(1, parseInt(elements.retentionFiveMinute.value, 10) || DEFAULT_RETENTION.fiveMinuteDays),
+                    hourlyDays: Math.max(0, parseInt(elements.retentionHourly.value, 10) || 0)
+                }
+            });
+        } catch (e) {
+            UIState.showError("Failed to save retention settings: " + (e && e.message ? e.message : e));
+            console.error("Failed to save retention settings", e);
+        }
+    }
+
+    // Generate item type checkboxes from the saved item filter
+    function renderItemFilter(itemFilter) {
+        const types = new Set(itemFilter && Array.isArray(itemFilter.types) ? itemFilter.types : DEFAULT_ITEM_TYPES);
+        elements.itemTypesContainer.innerHTML = "";
+        ITEM_TYPES.forEach(type => {
+            const label = document.createElement("label");
+            const cb = document.createElement("input");
+            cb.type = "checkbox";
+            cb.value = type;
+            cb.checked = types.has(type);
+            cb.addEventListener("change", updateItemFilter);
+            label.appendChild(cb);
+            label.appendChild(document.createTextNode(" " + type));
+            elements.itemTypesContainer.appendChild(label);
+        });
+        elements.itemIdsInput.value = itemFilter && Array.isArray(itemFilter.itemIds) ? itemFilter.itemIds.join(", ") : "";
+    }
+
+    // Countries whose data is older than the stale threshold
+    function staleCountries() {
+        const cutoff = Math.floor(Date.now() / 1000) - staleMinutes * 60;
+        return new Set(Object.keys(stockData).filter(code => {
+            const updated = countryUpdatedAt(stockData[code]);
+            return !updated || updated < cutoff;
+        }));
+    }
+
     // Enhanced render function with better formatting
     function render() {
         // Build the list of all countries from the stockData keys
@@ -125,10 +440,16 @@ document.addEventListener("DOMContentLoaded", async () => {
             Array.isArray(countryFilter) ? countryFilter : allCountries
         );
 
-        // Generate country filter checkboxes
+        // Generate country filter checkboxes, each with the age of its data
+        const stale = staleCountries();
         elements.filterContainer.innerHTML = "";
         allCountries.forEach(code => {
             const label = document.createElement("label");
+            const updated = countryUpdatedAt(stockData[code]);
+            if (stale.has(code)) label.classList.add("stale");
+            label.title = updated
+                ? `Updated ${formatUtils.formatTimeAgo(updated)}${stale.has(code) ? " (stale)" : ""}`
+                : "Update time unknown";
             const cb = document.createElement("input");
             cb.type = "checkbox";
             cb.checked = selectedCountries.has(code);
@@ -146,44 +467,115 @@ document.addEventListener("DOMContentLoaded", async () => {
 
             label.appendChild(cb);
             label.appendChild(document.createTextNode(" " + code.toUpperCase()));
+            if (updated) {
+                const age = document.createElement("span");
+                age.className = "country-age";
+                age.textContent = formatUtils.formatAge(updated);
+                label.appendChild(age);
+            }
             elements.filterContainer.appendChild(label);
         });
 
-        elements.container.innerHTML = "";
-        const timestamps = [];
+        renderAlertPickers();
+        renderExportCountries();
+        renderPlanner(selectedCountries);
+        renderTable(selectedCountries);
+    }
+
+    // Items from every selected country in one table, filtered and sorted per tableState
+    function renderTable(selectedCountries) {
+        const search = tableState.search.trim().toLowerCase();
+        const column = TABLE_COLUMNS.find(c => c.key === tableState.sortKey) || TABLE_COLUMNS[0];
+        const direction = tableState.sortDir === "asc" ? 1 : -1;
 
-        Object.entries(stockData).forEach(([country, items]) => {
+        const items = [];
+        const topItems = new Set();
+        Object.entries(stockData).forEach(([country, countryItems]) => {
             if (!selectedCountries.has(country)) return;
+            items.push(...countryItems);
+            // The best item of each country stays highlighted
+            const best = countryItems.reduce((top, item) =>
+                (!top || tripProfitPerMinute(item) > tripProfitPerMinute(top) ? item : top), null);
+            if (best) topItems.add(best);
+        });
+
+        const visible = items
+            .filter(item => !search || item.name.toLowerCase().includes(search) || item.country.includes(search))
+            .filter(item => tripProfitPerMinute(item) >= (tableState.minProfit || 0))
+            .sort((a, b) => {
+                const va = column.value(a);
+                const vb = column.value(b);
+                return va < vb ? -direction : va > vb ? direction : 0;
+            });
+
+        const stale = staleCountries();
 
-            const section = document.createElement("div");
-            section.className = "country-block";
-            section.innerHTML = `<h4>${country.toUpperCase()}</h4>`;
-
-            const topItem = items.reduce((prev, curr) => 
-                (curr.profit_per_minute > prev.profit_per_minute) ? curr : prev
-            );
-
-            items.forEach(item => {
-                if (item.timestamp) timestamps.push(item.timestamp);
-                
-                const row = document.createElement("div");
-                row.className = "item";
-                if (item === topItem) row.classList.add("top-item");
-                
-                row.innerHTML = `
-                    <div><strong>${item.name}</strong></div>
-                    <div>Qty: ${item.quantity.toLocaleString()}</div>
-                    <div>Buy: ${formatUtils.formatCurrency(item.cost)}</div>
-                    <div>Market: ${formatUtils.formatCurrency(item.market_price)}</div>
-                    <div>Flight: ${item.flight_time} mins</div>
-                    <div>Profit/Min: ${formatUtils.formatCurrency(item.profit_per_minute)}</div>
-                `;
-                section.appendChild(row);
+        elements.container.innerHTML = "";
+        const table = document.createElement("table");
+        table.className = "item-table";
+
+        const headerRow = document.createElement("tr");
+        TABLE_COLUMNS.forEach(col => {
+            const th = document.createElement("th");
+            th.textContent = col.label;
+            if (col.key === column.key) {
+                th.classList.add("sorted");
+                th.textContent += tableState.sortDir === "asc" ? " ▲" : " ▼";
+            }
+            th.addEventListener("click", () => {
+                if (col.key === tableState.sortKey) {
+                    tableState.sortDir = tableState.sortDir === "asc" ? "desc" : "asc";
+                } else {
+                    tableState.sortKey = col.key;
+                    tableState.sortDir = col.dir;
+                }
+                updateTableState();
+                renderTable(selectedCountries);
             });
+            headerRow.appendChild(th);
+        });
+        table.createTHead().appendChild(headerRow);
+
+        const body = table.createTBody();
+        visible.forEach(item => {
+            const row = document.createElement("tr");
+            row.className = "item";
+            if (topItems.has(item)) row.classList.add("top-item");
+            if (item.empty_on_arrival) row.classList.add("empty-on-arrival");
+            if (stale.has(item.country)) row.classList.add("stale");
+            const lowPrice = item.price_trend && item.price_trend.unusuallyLow;
+            const methodLabel = priceMethodLabel(item.price_method, listingSampleSize);
 
-            elements.container.appendChild(section);
+            row.addEventListener("click", () => showDetail(item));
+            row.innerHTML = `
+                <td><strong>${item.name}</strong> <span class="country-code" title="${item.timestamp ? `Updated ${formatUtils.formatTimeAgo(item.timestamp)}` : ''}">${item.country.toUpperCase()}</span></td>
+                <td class="landing" title="${formatUtils.formatLanding(item)} (selling ~${(item.depletion_rate || 0).toFixed(1)}/min)">${item.quantity.toLocaleString()}</td>
+                <td>${formatUtils.formatCurrency(item.cost)}</td>
+                <td title="${methodLabel ? `Priced by ${methodLabel}. ` : ''}${formatUtils.formatPriceTrend(item.price_trend)}">${formatUtils.formatCurrency(item.market_price)}${lowPrice ? ' ⚠' : ''}${methodLabel ? ` <span class="price-method">${methodLabel}</span>` : ''}</td>
+                <td title="Ticket: ${formatUtils.formatCurrency(item.ticket_cost || 0)}">${item.flight_time}m</td>
+                <td title="Trip: ${formatUtils.formatCurrency(item.profit_per_trip ?? 0)} for ${item.trip_units ?? 0} of ${item.carry_capacity ?? 0} units. Per unit: ${formatUtils.formatCurrency(item.profit_per_minute)}/min">${formatUtils.formatCurrency(tripProfitPerMinute(item))}</td>
+                <td title="${item.restock && item.restock.confidence ? `Confidence: ${item.restock.confidence}` : ''}">${formatUtils.formatRestockIn(item.restock)}</td>
+            `;
+            body.appendChild(row);
+
+            if (lowPrice) {
+                const warning = document.createElement("tr");
+                warning.className = "price-warning";
+                warning.innerHTML = `<td colspan="${TABLE_COLUMNS.length}"></td>`;
+                warning.firstChild.textContent = `⚠ ${item.name}: market price unusually low (${formatUtils.formatPercent(item.price_trend.vsMovingAverage)} vs 24h average)`;
+                body.appendChild(warning);
+            }
         });
+        elements.container.appendChild(table);
+
+        if (visible.length === 0) {
+            const empty = document.createElement("div");
+            empty.className = "table-empty";
+            empty.textContent = "No items match the current filters.";
+            elements.container.appendChild(empty);
+        }
 
+        const timestamps = items.map(item => item.timestamp).filter(Boolean);
         if (timestamps.length) {
             const latest = Math.max(...timestamps);
             const updated = document.createElement("div");
@@ -193,34 +585,453 @@ document.addEventListener("DOMContentLoaded", async () => {
         }
     }
 
+    // Keep the export country picker in sync with the countries in stock data
+    function renderExportCountries() {
+        const selected = elements.exportCountry.value;
+        elements.exportCountry.innerHTML = "";
+        elements.exportCountry.add(new Option("All", ""));
+        Object.keys(stockData || {}).sort().forEach(code => {
+            elements.exportCountry.add(new Option(code.toUpperCase(), code));
+        });
+        elements.exportCountry.value = selected && stockData && stockData[selected] ? selected : "";
+    }
+
+    // Ask the background for the filtered history and save it as a file
+    async function exportHistory() {
+        try {
+            UIState.setLoading(true);
+            const toTimestamp = (value, endOfDay) => value
+                ? Math.floor(new Date(`${value}T${endOfDay ? "23:59:59" : "00:00:00"}Z`).getTime() / 1000)
+                : null;
+            const itemIds = elements.exportItems.value
+                .split(/[\s,]+/)
+                .map(Number)
+                .filter(id => Number.isInteger(id) && id > 0);
+            const result = await sendRequest(MESSAGE_TYPES.EXPORT_HISTORY, {
+                format: elements.exportFormat.value,
+                filters: {
+                    countries: elements.exportCountry.value ? [elements.exportCountry.value] : null,
+                    itemIds: itemIds.length ? itemIds : null,
+                    startTime: toTimestamp(elements.exportFrom.value, false) || 0,
+                    endTime: toTimestamp(elements.exportTo.value, true)
+                }
+            });
+
+            const url = URL.createObjectURL(new Blob([result.content], { type: result.mimeType }));
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = result.filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            elements.historyIoStatus.textContent = `Exported ${result.count.toLocaleString()} records.`;
+        } catch (e) {
+            UIState.showError(`Export failed: ${e.message}`);
+            console.error("History export failed", e);
+        } finally {
+            UIState.setLoading(false);
+        }
+    }
+
+    // Send the chosen file to the background, which validates and merges it
+    async function importHistory() {
+        const file = elements.importFile.files[0];
+        if (!file) {
+            UIState.showError("Choose a CSV or JSON file to import");
+            return;
+        }
+        try {
+            UIState.setLoading(true);
+            const format = file.name.toLowerCase().endsWith(".json") ? "json" : "csv";
+            const result = await sendRequest(MESSAGE_TYPES.IMPORT_HISTORY, {
+                format,
+                content: await file.text()
+            });
+            elements.historyIoStatus.textContent =
+                `Imported ${result.added.toLocaleString()} records, ${result.skipped.toLocaleString()} already present, ${result.invalid.toLocaleString()} invalid.`;
+            elements.importFile.value = "";
+        } catch (e) {
+            UIState.showError(`Import failed: ${e.message}`);
+            console.error("History import failed", e);
+        } finally {
+            UIState.setLoading(false);
+        }
+    }
+
+    // Recent failures, last successful fetch per source and database size
+    async function renderDiagnostics() {
+        try {
+            const diagnostics = await sendRequest(MESSAGE_TYPES.GET_DIAGNOSTICS);
+
+            elements.diagnosticsSummary.innerHTML = "";
+            const addLine = text => {
+                const li = document.createElement("li");
+                li.textContent = text;
+                elements.diagnosticsSummary.appendChild(li);
+            };
+            ["yata", "torn"].forEach(source => {
+                const last = diagnostics.lastSuccess[source];
+                addLine(`${DIAGNOSTIC_SOURCE_LABELS[source]}: ${last ? `last success ${formatUtils.formatTimeAgo(last)}` : "no successful fetch yet"}`);
+            });
+            if (diagnostics.database) {
+                const { stores, usage } = diagnostics.database;
+                addLine(`Database: ${stores.stock_history.toLocaleString()} snapshots, ${stores.market_prices.toLocaleString()} prices, ${formatUtils.formatBytes(usage)} used`);
+            }
+
+            elements.diagnosticsEvents.innerHTML = "";
+            if (diagnostics.events.length === 0) {
+                const empty = document.createElement("li");
+                empty.className = "diagnostics-empty";
+                empty.textContent = "No recent failures.";
+                elements.diagnosticsEvents.appendChild(empty);
+            }
+            diagnostics.events.slice().reverse().forEach(event => {
+                const codes = [
+                    event.code !== null ? `code ${event.code}` : null,
+                    event.yataCode !== null ? `YATA code ${event.yataCode}` : null,
+                    event.status !== null ? `HTTP ${event.status}` : null
+                ].filter(Boolean).join(", ");
+                const li = document.createElement("li");
+                li.textContent = `${formatUtils.formatClock(event.timestamp)} ${DIAGNOSTIC_SOURCE_LABELS[event.source] || event.source}`
+                    + `${event.context ? ` (${event.context})` : ""}: ${event.message}${codes ? ` [${codes}]` : ""}`;
+                elements.diagnosticsEvents.appendChild(li);
+            });
+        } catch (e) {
+            UIState.showError(`Failed to load diagnostics: ${e.message}`);
+            console.error("Failed to load diagnostics", e);
+        }
+    }
+
+    // Copies everything needed to report a problem. The API key is left out.
+    async function copyDebugReport() {
+        try {
+            const [diagnostics, stored] = await Promise.all([
+                sendRequest(MESSAGE_TYPES.GET_DIAGNOSTICS),
+                browser.storage.local.get(["settings", "tripSettings", "itemFilter", "retentionSettings", "countryFilter", "priceWarmup", "countryUpdates"])
+            ]);
+            const report = {
+                generatedAt: new Date().toISOString(),
+                version: browser.runtime.getManifest().version,
+                userAgent: navigator.userAgent,
+                ...stored,
+                diagnostics
+            };
+            await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+            elements.diagnosticsStatus.textContent = "Debug report copied to the clipboard.";
+        } catch (e) {
+            UIState.showError(`Failed to copy debug report: ${e.message}`);
+            console.error("Failed to copy debug report", e);
+        }
+    }
+
+    // Fill the alert form's country and item pickers from the current stock data
+    function renderAlertPickers() {
+        const selectedCountry = elements.alertCountry.value;
+        elements.alertCountry.innerHTML = "";
+        Object.keys(stockData || {}).sort().forEach(code => {
+            elements.alertCountry.add(new Option(code.toUpperCase(), code));
+        });
+        if (selectedCountry && stockData && stockData[selectedCountry]) {
+            elements.alertCountry.value = selectedCountry;
+        }
+        renderAlertItems();
+    }
+
+    function renderAlertItems() {
+        const selectedItem = elements.alertItem.value;
+        const items = (stockData && stockData[elements.alertCountry.value]) || [];
+        elements.alertItem.innerHTML = "";
+        items.forEach(item => elements.alertItem.add(new Option(item.name, item.id)));
+        if (items.some(item => String(item.id) === selectedItem)) {
+            elements.alertItem.value = selectedItem;
+        }
+    }
+
+    // List the current subscriptions with a remove button each
+    function renderAlerts() {
+        elements.alertList.innerHTML = "";
+        if (subscriptions.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "alert-empty";
+            empty.textContent = "No alerts yet.";
+            elements.alertList.appendChild(empty);
+            return;
+        }
+        subscriptions.forEach(sub => {
+            const li = document.createElement("li");
+            const label = (ALERT_TRIGGER_LABELS[sub.trigger] || sub.trigger).replace("{n}", sub.threshold);
+            li.textContent = `${sub.itemName} (${sub.country.toUpperCase()}): ${label} `;
+            const remove = document.createElement("button");
+            remove.className = "close-button";
+            remove.title = "Remove alert";
+            remove.textContent = "×";
+            remove.addEventListener("click", () => {
+                saveSubscriptions(subscriptions.filter(s => s.id !== sub.id));
+            });
+            li.appendChild(remove);
+            elements.alertList.appendChild(li);
+        });
+    }
+
+    async function saveSubscriptions(newSubscriptions) {
+        try {
+            await browser.storage.local.set({ notificationSubscriptions: newSubscriptions });
+            subscriptions = newSubscriptions;
+            renderAlerts();
+        } catch (e) {
+            UIState.showError("Failed to save alerts: " + (e && e.message ? e.message : e));
+            console.error("Failed to save alerts", e);
+        }
+    }
+
+    function addSubscription() {
+        const country = elements.alertCountry.value;
+        const itemId = Number(elements.alertItem.value);
+        const item = ((stockData && stockData[country]) || []).find(i => Number(i.id) === itemId);
+        if (!item) {
+            UIState.showError("Pick a country and item for the alert");
+            return;
+        }
+        const trigger = elements.alertTrigger.value;
+        const threshold = Math.max(0, Number(elements.alertThreshold.value) || 0);
+        if (trigger !== "restocked" && !threshold) {
+            UIState.showError("Enter a threshold for this alert");
+            return;
+        }
+        saveSubscriptions([...subscriptions, {
+            id: Date.now().toString(36),
+            country,
+            itemId,
+            itemName: item.name,
+            trigger,
+            threshold
+        }]);
+    }
+
+    // List the best upcoming departures for the selected countries
+    function renderPlanner(selectedCountries) {
+        elements.plannerList.innerHTML = "";
+        const now = Math.floor(Date.now() / 1000);
+        const upcoming = departurePlan.filter(p => selectedCountries.has(p.country) && p.departure >= now);
+
+        if (upcoming.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "planner-empty";
+            empty.textContent = "No predicted restocks to plan around yet.";
+            elements.plannerList.appendChild(empty);
+            return;
+        }
+
+        upcoming.forEach(p => {
+            const li = document.createElement("li");
+            const leaveIn = Math.round((p.departure - now) / 60);
+            li.innerHTML = `
+                <div><strong>Leave ${leaveIn <= 0 ? "now" : `in ${leaveIn} min`}</strong> (${formatUtils.formatClock(p.departure)})
+                    → ${p.country.toUpperCase()} ${p.name}</div>
+                <div class="planner-meta">Land ${formatUtils.formatClock(p.arrival)} after restock
+                    • ${p.expected_units} units • ${formatUtils.formatCurrency(p.expected_profit)}
+                    (${formatUtils.formatCurrency(p.profit_per_minute)}/min) • ${p.confidence || "low"} confidence</div>
+            `;
+            elements.plannerList.appendChild(li);
+        });
+    }
+
+    // Open the history chart for an item over the selected window
+    async function showDetail(item, hours = detailHours) {
+        detailItem = item;
+        detailHours = hours;
+        elements.detail.hidden = false;
+        elements.detailTitle.textContent = `${item.name} (${item.country.toUpperCase()})`;
+        elements.detailWindows.querySelectorAll("button").forEach(btn => {
+            btn.classList.toggle("active", Number(btn.dataset.hours) === hours);
+        });
+        elements.detailSummary.textContent = "Loading history...";
+
+        try {
+            const history = await sendRequest(MESSAGE_TYPES.GET_ITEM_HISTORY, {
+                country: item.country,
+                itemId: item.id,
+                hours
+            });
+            // Ignore responses for an item or window that is no longer selected
+            if (detailItem !== item || detailHours !== hours) return;
+
+            const nextRestock = item.restock ? item.restock.nextRestock : null;
+            HistoryChart.render(elements.detailChart, history, nextRestock);
+            elements.detailSummary.textContent =
+                `${history.restocks.length} restock${history.restocks.length !== 1 ? 's' : ''} in window • ${formatUtils.formatRestock(item.restock)}`
+                + ` • ${formatUtils.formatPriceTrend(item.price_trend)}`;
+        } catch (e) {
+            elements.detailSummary.textContent = "";
+            UIState.showError(`Failed to load history: ${e.message}`);
+            console.error("Failed to load item history", e);
+        }
+    }
+
+    // Torn API calls left this minute, shared by everything using the key
+    async function renderApiBudget() {
+        try {
+            const { apiBudget: budget } = await sendRequest(MESSAGE_TYPES.GET_STATUS);
+            let text = `Torn API: ${budget.remaining}/${budget.capacity} calls left this minute`;
+            if (budget.pausedUntil) {
+                const seconds = Math.ceil((budget.pausedUntil - Date.now()) / 1000);
+                text += `, paused ${seconds}s after a rate-limit error`;
+            } else if (budget.queued) {
+                text += `, ${budget.queued} waiting`;
+            }
+            elements.apiBudget.textContent = text;
+            elements.apiBudget.classList.toggle("low", !!budget.pausedUntil || budget.remaining < budget.capacity / 10);
+        } catch (e) {
+            console.error("Failed to load API budget", e);
+        }
+    }
+
     // Initial load and render
     await loadAndRender(true);
+    renderApiBudget();
+    setInterval(renderApiBudget, BUDGET_REFRESH_INTERVAL);
 
-    // Listen for changes to stockDataVersion and update if changed
+    // Listen for changes to stockDataVersion or price warm-up progress
     browser.storage.onChanged.addListener((changes, area) => {
-        if (area === 'local' && changes.stockDataVersion) {
+        if (area === 'local' && (changes.stockDataVersion || changes.priceWarmup)) {
             loadAndRender();
         }
     });
 
-    // Handle manual refresh with loading state
-    elements.refreshButton.addEventListener("click", async () => {
+    elements.travelMethodSelect.addEventListener("change", () => {
+        updateTripSettings({ travelMethod: elements.travelMethodSelect.value });
+    });
+    elements.suitcaseSelect.addEventListener("change", () => {
+        updateTripSettings({ suitcase: elements.suitcaseSelect.value });
+    });
+    elements.airstripCheckbox.addEventListener("change", () => {
+        updateTripSettings({ airstrip: elements.airstripCheckbox.checked });
+    });
+    elements.jobPerkInput.addEventListener("change", () => {
+        const jobPerk = Math.max(0, parseInt(elements.jobPerkInput.value, 10) || 0);
+        elements.jobPerkInput.value = jobPerk;
+        updateTripSettings({ jobPerk });
+    });
+
+    elements.itemSearch.addEventListener("input", () => {
+        tableState.search = elements.itemSearch.value;
+        updateTableState();
+        if (stockData) render();
+    });
+    elements.minProfitInput.addEventListener("change", () => {
+        tableState.minProfit = Math.max(0, Number(elements.minProfitInput.value) || 0);
+        updateTableState();
+        if (stockData) render();
+    });
+
+    elements.itemIdsInput.addEventListener("change", updateItemFilter);
+    [elements.retentionRaw, elements.retentionFiveMinute, elements.retentionHourly].forEach(input => {
+        input.addEventListener("change", updateRetentionSettings);
+    });
+
+    elements.exportButton.addEventListener("click", exportHistory);
+    elements.diagnostics.addEventListener("toggle", () => {
+        if (elements.diagnostics.open) renderDiagnostics();
+    });
+    elements.copyReport.addEventListener("click", copyDebugReport);
+    elements.clearDiagnostics.addEventListener("click", async () => {
+        try {
+            await sendRequest(MESSAGE_TYPES.CLEAR_DIAGNOSTICS);
+            elements.diagnosticsStatus.textContent = "";
+            renderDiagnostics();
+        } catch (e) {
+            UIState.showError(`Failed to clear diagnostics: ${e.message}`);
+        }
+    });
+    elements.importButton.addEventListener("click", importHistory);
+
+    elements.alertCountry.addEventListener("change", renderAlertItems);
+    elements.alertAdd.addEventListener("click", addSubscription);
+
+    elements.detailWindows.addEventListener("click", (e) => {
+        const hours = Number(e.target.dataset.hours);
+        if (hours && detailItem) showDetail(detailItem, hours);
+    });
+    elements.detailClose.addEventListener("click", () => {
+        detailItem = null;
+        elements.detail.hidden = true;
+    });
+
+    // Runs a refresh; the button spins until the background reports it done or failed
+    async function refresh(button, request) {
+        button.disabled = true;
+        button.classList.add("refreshing");
+        try {
+            await sendRequest(MESSAGE_TYPES.REFRESH, request);
+            return true;
+        } catch (e) {
+            UIState.showError(`Refresh failed: ${e.message}`);
+            console.error("Refresh failed", e);
+            return false;
+        } finally {
+            button.disabled = false;
+            button.classList.remove("refreshing");
+        }
+    }
+
+    elements.refreshButton.addEventListener("click", () => {
+        const allCountries = Object.keys(stockData || {}).sort();
+        const selectedCountries = Array.isArray(countryFilter) ? countryFilter : allCountries;
+        refresh(elements.refreshButton, { countries: selectedCountries });
+    });
+
+    // Fetches a fresh market price for the item shown in the detail view
+    elements.detailRefresh.addEventListener("click", async () => {
+        const item = detailItem;
+        if (!item || !(await refresh(elements.detailRefresh, { itemIds: [item.id] }))) return;
+        await loadAndRender();
+        const updated = (stockData[item.country] || []).find(i => i.id === item.id);
+        if (updated && detailItem === item) showDetail(updated, detailHours);
+    });
+
+    // Shows the unlock form while an encrypted key waits for its passphrase
+    async function renderKeyLock(encrypted) {
+        if (!encrypted) {
+            elements.unlockForm.style.display = "none";
+            return;
+        }
+        try {
+            const { keyLocked } = await sendRequest(MESSAGE_TYPES.GET_STATUS);
+            elements.unlockForm.style.display = keyLocked ? "flex" : "none";
+        } catch (e) {
+            console.error("Failed to load key status", e);
+        }
+    }
+
+    async function unlockKey() {
+        const passphrase = elements.unlockPassphrase.value;
+        if (!passphrase) {
+            UIState.showError("Please enter your passphrase");
+            return;
+        }
         try {
             UIState.setLoading(true);
-            const allCountries = Object.keys(stockData || {}).sort();
-            const selectedCountries = new Set(
-                Array.isArray(countryFilter) ? countryFilter : allCountries
-            );
-            await browser.runtime.sendMessage({
-                type: "manual-refresh",
-                countries: Array.from(selectedCountries)
-            });
-            console.log("Manual refresh requested for countries:", Array.from(selectedCountries));
+            elements.unlockStatus.textContent = "Unlocking API key...";
+            await sendRequest(MESSAGE_TYPES.UNLOCK_KEY, { passphrase });
+            elements.unlockPassphrase.value = "";
+            elements.unlockForm.style.display = "none";
+            elements.unlockStatus.textContent = "Your API key is encrypted. Enter the passphrase to resume collecting.";
         } catch (e) {
-            UIState.showError("Failed to trigger refresh");
+            UIState.showError(`Error: ${e.message}`);
+            elements.unlockStatus.textContent = "Could not unlock the API key.";
         } finally {
             UIState.setLoading(false);
         }
+    }
+
+    elements.unlockKey.addEventListener("click", unlockKey);
+    elements.unlockPassphrase.addEventListener("keypress", (e) => {
+        if (e.key === "Enter") unlockKey();
+    });
+
+    elements.revealKey.addEventListener("click", () => {
+        const hidden = elements.apiKeyInput.type === "password";
+        elements.apiKeyInput.type = hidden ? "text" : "password";
+        elements.revealKey.textContent = hidden ? "Hide" : "Show";
     });
 
     // Function to validate the Torn API key by querying the Torn user endpoint
@@ -235,20 +1046,21 @@ document.addEventListener("DOMContentLoaded", async () => {
                 return;
             }
 
-            const res = await fetch(`https://api.torn.com/user/?selections=basic&key=${value}`);
-            if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
-            const data = await res.json();
-            if (data.error) throw new Error(data.error.error);
-
-            if (data.player_id) {
-                await browser.storage.local.set({ tornApiKey: value });
-                elements.keyStatus.textContent = "API key is valid and saved locally.";
-                elements.configForm.style.display = "none";
-                console.log("API key validated and saved.");
-                browser.runtime.sendMessage({ type: "restart-collector" });
-            } else {
-                throw new Error("Invalid API response format");
-            }
+            // Checked and saved by the background, so the calls count against the
+            // shared rate limit and encryption happens in one place
+            const passphrase = elements.keyPassphrase.value;
+            const result = await sendRequest(MESSAGE_TYPES.SAVE_KEY, { key: value, passphrase });
+            elements.keyPassphrase.value = "";
+            elements.keyStatus.textContent = passphrase
+                ? "API key is valid and saved, encrypted with your passphrase."
+                : "API key is valid and saved locally, unencrypted. Save it again with a passphrase to encrypt it.";
+            elements.keyWarning.textContent = result.warning || "";
+            elements.configForm.style.display = "none";
+            console.log("API key validated and saved.");
+            // Not awaited: the first collection can take a while
+            sendRequest(MESSAGE_TYPES.RESTART_COLLECTOR)
+                .catch(e => UIState.showError(`Failed to start collecting: ${e.message}`));
+            renderApiBudget();
         } catch (e) {
             UIState.showError(`Error: ${e.message}`);
             elements.keyStatus.textContent = "Error validating key.";
@@ -263,11 +1075,17 @@ document.addEventListener("DOMContentLoaded", async () => {
         if (e.key === "Enter") validateAndSaveKey();
     });
 
+    elements.openOptions.addEventListener("click", () => {
+        browser.runtime.openOptionsPage();
+    });
+
     elements.resetKey.addEventListener("click", async () => {
         try {
             UIState.setLoading(true);
-            await browser.storage.local.remove("tornApiKey");
+            await sendRequest(MESSAGE_TYPES.REMOVE_KEY);
             elements.apiKeyInput.value = "";
+            elements.keyWarning.textContent = "";
+            elements.unlockForm.style.display = "none";
             elements.configForm.style.display = "flex";
             elements.keyStatus.textContent = "API key removed.";
             console.log("API key reset.");